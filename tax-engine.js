@@ -31,6 +31,27 @@ const TaxEngine = (function () {
     [Infinity, 0.37],
   ];
 
+  const FEDERAL_HOH = [
+    [16550, 0.10],
+    [63100 - 16550, 0.12],
+    [100500 - 63100, 0.22],
+    [191950 - 100500, 0.24],
+    [243700 - 191950, 0.32],
+    [609350 - 243700, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_MFS = [
+    [11600, 0.10],
+    [47150 - 11600, 0.12],
+    [100525 - 47150, 0.22],
+    [191950 - 100525, 0.24],
+    [243725 - 191950, 0.32],
+    [365600 - 243725, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  // Single and Married Filing Separately share the same NY/NYC schedules
   const NY_STATE = [
     [8500, 0.04],
     [11700 - 8500, 0.045],
@@ -43,6 +64,30 @@ const TaxEngine = (function () {
     [Infinity, 0.109],
   ];
 
+  const NY_STATE_MARRIED = [
+    [17150, 0.04],
+    [23600 - 17150, 0.045],
+    [27900 - 23600, 0.0525],
+    [161550 - 27900, 0.055],
+    [323200 - 161550, 0.06],
+    [2155350 - 323200, 0.0685],
+    [5000000 - 2155350, 0.0965],
+    [25000000 - 5000000, 0.103],
+    [Infinity, 0.109],
+  ];
+
+  const NY_STATE_HOH = [
+    [12800, 0.04],
+    [17650 - 12800, 0.045],
+    [20900 - 17650, 0.0525],
+    [107650 - 20900, 0.055],
+    [269300 - 107650, 0.06],
+    [1616450 - 269300, 0.0685],
+    [5000000 - 1616450, 0.0965],
+    [25000000 - 5000000, 0.103],
+    [Infinity, 0.109],
+  ];
+
   const NYC_TAX = [
     [12000, 0.03078],
     [25000 - 12000, 0.03762],
@@ -50,65 +95,1255 @@ const TaxEngine = (function () {
     [Infinity, 0.03876],
   ];
 
+  const NYC_TAX_MARRIED = [
+    [21600, 0.03078],
+    [45000 - 21600, 0.03762],
+    [90000 - 45000, 0.03819],
+    [Infinity, 0.03876],
+  ];
+
+  const NYC_TAX_HOH = [
+    [14400, 0.03078],
+    [30000 - 14400, 0.03762],
+    [60000 - 30000, 0.03819],
+    [Infinity, 0.03876],
+  ];
+
+  // Commuter home states. Neither indexes its brackets for inflation, so the
+  // same tables apply in every tax year. NJ heads of household use the
+  // joint schedule.
+  const NJ_TAX = [
+    [20000, 0.014],
+    [35000 - 20000, 0.0175],
+    [40000 - 35000, 0.035],
+    [75000 - 40000, 0.05525],
+    [500000 - 75000, 0.0637],
+    [1000000 - 500000, 0.0897],
+    [Infinity, 0.1075],
+  ];
+
+  const NJ_TAX_MARRIED = [
+    [20000, 0.014],
+    [50000 - 20000, 0.0175],
+    [70000 - 50000, 0.0245],
+    [80000 - 70000, 0.035],
+    [150000 - 80000, 0.05525],
+    [500000 - 150000, 0.0637],
+    [1000000 - 500000, 0.0897],
+    [Infinity, 0.1075],
+  ];
+
+  const CT_TAX = [
+    [10000, 0.02],
+    [50000 - 10000, 0.045],
+    [100000 - 50000, 0.055],
+    [200000 - 100000, 0.06],
+    [250000 - 200000, 0.065],
+    [500000 - 250000, 0.069],
+    [Infinity, 0.0699],
+  ];
+
+  const CT_TAX_MARRIED = [
+    [20000, 0.02],
+    [100000 - 20000, 0.045],
+    [200000 - 100000, 0.055],
+    [400000 - 200000, 0.06],
+    [500000 - 400000, 0.065],
+    [1000000 - 500000, 0.069],
+    [Infinity, 0.0699],
+  ];
+
+  const CT_TAX_HOH = [
+    [16000, 0.02],
+    [80000 - 16000, 0.045],
+    [160000 - 80000, 0.055],
+    [320000 - 160000, 0.06],
+    [400000 - 320000, 0.065],
+    [800000 - 400000, 0.069],
+    [Infinity, 0.0699],
+  ];
+
+  // California (2024 schedule, reused for later years). The top bracket
+  // includes the 1% Mental Health Services Tax on income over $1M.
+  const CA_TAX = [
+    [10756, 0.01],
+    [25499 - 10756, 0.02],
+    [40245 - 25499, 0.04],
+    [55866 - 40245, 0.06],
+    [70606 - 55866, 0.08],
+    [360659 - 70606, 0.093],
+    [432787 - 360659, 0.103],
+    [721314 - 432787, 0.113],
+    [1000000 - 721314, 0.123],
+    [Infinity, 0.133],
+  ];
+
+  const CA_TAX_MARRIED = [
+    [21512, 0.01],
+    [50998 - 21512, 0.02],
+    [80490 - 50998, 0.04],
+    [111732 - 80490, 0.06],
+    [141212 - 111732, 0.08],
+    [721318 - 141212, 0.093],
+    [865574 - 721318, 0.103],
+    [1000000 - 865574, 0.113],
+    [1442628 - 1000000, 0.123],
+    [Infinity, 0.133],
+  ];
+
+  const CA_TAX_HOH = [
+    [21527, 0.01],
+    [51000 - 21527, 0.02],
+    [65744 - 51000, 0.04],
+    [81364 - 65744, 0.06],
+    [96107 - 81364, 0.08],
+    [490493 - 96107, 0.093],
+    [588593 - 490493, 0.103],
+    [980987 - 588593, 0.113],
+    [1000000 - 980987, 0.123],
+    [Infinity, 0.133],
+  ];
+
+  // Long-term capital gains / qualified dividend rates, stacked on top of
+  // ordinary taxable income
+  const CAPITAL_GAINS_SINGLE = [
+    [47025, 0],
+    [518900 - 47025, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MARRIED = [
+    [94050, 0],
+    [583750 - 94050, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_HOH = [
+    [63000, 0],
+    [551350 - 63000, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MFS = [
+    [47025, 0],
+    [291850 - 47025, 0.15],
+    [Infinity, 0.20],
+  ];
+
   const CONSTANTS = {
     standardDeductionSingle: 14600,
     standardDeductionMarried: 29200,
+    standardDeductionHeadOfHousehold: 21900,
+    standardDeductionMarriedSeparate: 14600,
     nyStandardDeductionSingle: 8000,
     nyStandardDeductionMarried: 16050,
+    nyStandardDeductionHeadOfHousehold: 11200,
+    nyStandardDeductionMarriedSeparate: 8000,
     ssRate: 0.062,
     ssWageBase: 168600,
     medicareRate: 0.0145,
     medicareAdditionalRate: 0.009,
     medicareThresholdSingle: 200000,
     medicareThresholdMarried: 250000,
+    medicareThresholdHeadOfHousehold: 200000,
+    medicareThresholdMarriedSeparate: 125000,
+    retirementLimit: 23000,
+    hsaLimitSelf: 4150,
+    hsaLimitFamily: 8300,
+    commuterLimit: 315 * 12,
+    niitRate: 0.038,
+    niitThresholdSingle: 200000,
+    niitThresholdMarried: 250000,
+    niitThresholdHeadOfHousehold: 200000,
+    niitThresholdMarriedSeparate: 125000,
+    nyRecaptureAgi: 107650,
+    nyRecapturePhaseIn: 50000,
+    nyFlatRateAgi: 25000000,
+    supplementalRate: 0.22,
+    supplementalRateHigh: 0.37,
+    supplementalHighThreshold: 1000000,
+    nySupplementalRate: 0.117,
+    nycSupplementalRate: 0.0425,
+    medicareWithholdingThreshold: 200000,
+    amtRate: 0.26,
+    amtRateHigh: 0.28,
+    amtExemptionSingle: 85700,
+    amtExemptionMarried: 133300,
+    amtExemptionHeadOfHousehold: 85700,
+    amtExemptionMarriedSeparate: 66650,
+    amtPhaseOutSingle: 609350,
+    amtPhaseOutMarried: 1218700,
+    amtPhaseOutHeadOfHousehold: 609350,
+    amtPhaseOutMarriedSeparate: 609350,
+    amtPhaseOutRate: 0.25,
+    amtRateBreakSingle: 232600,
+    amtRateBreakMarried: 232600,
+    amtRateBreakHeadOfHousehold: 232600,
+    amtRateBreakMarriedSeparate: 116300,
+    saltCapSingle: 10000,
+    saltCapMarried: 10000,
+    saltCapHeadOfHousehold: 10000,
+    saltCapMarriedSeparate: 5000,
+    saltCapPhaseOutSingle: Infinity,
+    saltCapPhaseOutMarried: Infinity,
+    saltCapPhaseOutHeadOfHousehold: Infinity,
+    saltCapPhaseOutMarriedSeparate: Infinity,
+    saltCapFloorSingle: 10000,
+    saltCapFloorMarried: 10000,
+    saltCapFloorHeadOfHousehold: 10000,
+    saltCapFloorMarriedSeparate: 5000,
+    saltCapPhaseOutRate: 0.3,
+    medicalFloorRate: 0.075,
+    nyItemizedLimitAgiSingle: 100000,
+    nyItemizedLimitAgiMarried: 200000,
+    nyItemizedLimitAgiHeadOfHousehold: 150000,
+    nyItemizedLimitAgiMarriedSeparate: 100000,
+    nyItemizedLimitPhaseIn: 50000,
+    nyItemizedLimitRate: 0.25,
+    nyItemizedLimitUpperAgi: 475000,
+    nyItemizedCharitableOnlyAgi: 1000000,
+    nyItemizedCharitableRate: 0.5,
+    nyItemizedTopAgi: 10000000,
+    nyItemizedTopCharitableRate: 0.25,
+    yonkersSurchargeRate: 0.1675,
+    njExemptionSingle: 1000,
+    njExemptionMarried: 2000,
+    njExemptionHeadOfHousehold: 1000,
+    njExemptionMarriedSeparate: 1000,
+    ctRecaptureStartSingle: 200000,
+    ctRecaptureStartMarried: 400000,
+    ctRecaptureStartHeadOfHousehold: 320000,
+    ctRecaptureStartMarriedSeparate: 200000,
+    ctRecaptureEndSingle: 500000,
+    ctRecaptureEndMarried: 1000000,
+    ctRecaptureEndHeadOfHousehold: 800000,
+    ctRecaptureEndMarriedSeparate: 500000,
+    caStandardDeductionSingle: 5540,
+    caStandardDeductionMarried: 11080,
+    caStandardDeductionHeadOfHousehold: 11080,
+    caStandardDeductionMarriedSeparate: 5540,
+    caSdiRate: 0.011,
+    caSupplementalRate: 0.066,
+    waCaresRate: 0.0058,
+    waCapitalGainsDeduction: 270000,
+    waCapitalGainsRate: 0.07,
+    waCapitalGainsHighRate: 0.07,
+    waCapitalGainsHighThreshold: 1000000,
+    seEarningsRate: 0.9235,
+    seMinimumEarnings: 400,
+    seEmployerContributionRate: 0.2,
+    annualAdditionsLimit: 69000,
+    qbiRate: 0.2,
+    qbiThresholdSingle: 191950,
+    qbiThresholdMarried: 383900,
+    qbiThresholdHeadOfHousehold: 191950,
+    qbiThresholdMarriedSeparate: 191950,
+    qbiPhaseInSingle: 50000,
+    qbiPhaseInMarried: 100000,
+    qbiPhaseInHeadOfHousehold: 50000,
+    qbiPhaseInMarriedSeparate: 50000,
+    ubtRate: 0.04,
+    ubtExemption: 5000,
+    ubtOwnerAllowanceRate: 0.2,
+    ubtOwnerAllowanceMax: 10000,
+    ubtBusinessCreditFull: 3400,
+    ubtBusinessCreditEnd: 5400,
+    ubtCreditFullIncome: 42000,
+    ubtCreditMinIncome: 142000,
+    ubtCreditMinRate: 0.23,
+    ctcPerChild: 2000,
+    ctcRefundableMax: 1700,
+    ctcOtherDependent: 500,
+    ctcMaxAge: 16,
+    ctcPhaseOutSingle: 200000,
+    ctcPhaseOutMarried: 400000,
+    ctcPhaseOutHeadOfHousehold: 200000,
+    ctcPhaseOutMarriedSeparate: 200000,
+    ctcPhaseOutStep: 1000,
+    ctcPhaseOutAmount: 50,
+    ctcRefundableRate: 0.15,
+    ctcEarnedIncomeFloor: 2500,
+    dependentCareFsaLimitSingle: 5000,
+    dependentCareFsaLimitMarried: 5000,
+    dependentCareFsaLimitHeadOfHousehold: 5000,
+    dependentCareFsaLimitMarriedSeparate: 2500,
+    dependentCareMaxAge: 12,
+    dependentCareExpenseLimit: 3000,
+    dependentCareExpenseLimitMulti: 6000,
+    dependentCareRateMax: 0.35,
+    dependentCareRateMid: 0.2,
+    dependentCareRateMin: 0.2,
+    dependentCarePhaseOut: 15000,
+    dependentCarePhaseOutStep: 2000,
+    dependentCareSecondPhaseOutSingle: Infinity,
+    dependentCareSecondPhaseOutMarried: Infinity,
+    dependentCareSecondPhaseOutHeadOfHousehold: Infinity,
+    dependentCareSecondPhaseOutMarriedSeparate: Infinity,
+    dependentCareSecondStepSingle: 2000,
+    dependentCareSecondStepMarried: 4000,
+    dependentCareSecondStepHeadOfHousehold: 2000,
+    dependentCareSecondStepMarriedSeparate: 2000,
+    esccYoungChild: 100,
+    esccChild: 100,
+    esccMinimumPhaseOut: 0,
+    esccRate: 0.33,
+    esccBaseCredit: 1000,
+    esccPhaseOutSingle: 75000,
+    esccPhaseOutMarried: 110000,
+    esccPhaseOutHeadOfHousehold: 75000,
+    esccPhaseOutMarriedSeparate: 55000,
+    nycChildCareRate: 0.75,
+    nycChildCareMaxAge: 3,
+    nycChildCareFullAgi: 25000,
+    nycChildCareEndAgi: 30000,
+    safeHarborCurrentRate: 0.9,
+    safeHarborPriorRate: 1.0,
+    safeHarborPriorHighRate: 1.1,
+    safeHarborHighAgiSingle: 150000,
+    safeHarborHighAgiMarried: 150000,
+    safeHarborHighAgiHeadOfHousehold: 150000,
+    safeHarborHighAgiMarriedSeparate: 75000,
+    estimatedTaxMinimum: 1000,
+    estimatedTaxPenaltyRate: 0.08,
+    nyEstimatedTaxMinimum: 300,
+    nyEstimatedTaxPenaltyRate: 0.1,
+  };
+
+  // ── Tax Brackets (2025) ───────────────────────────────────
+
+  const FEDERAL_SINGLE_2025 = [
+    [11925, 0.10],
+    [48475 - 11925, 0.12],
+    [103350 - 48475, 0.22],
+    [197300 - 103350, 0.24],
+    [250525 - 197300, 0.32],
+    [626350 - 250525, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_MARRIED_2025 = [
+    [23850, 0.10],
+    [96950 - 23850, 0.12],
+    [206700 - 96950, 0.22],
+    [394600 - 206700, 0.24],
+    [501050 - 394600, 0.32],
+    [751600 - 501050, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_HOH_2025 = [
+    [17000, 0.10],
+    [64850 - 17000, 0.12],
+    [103350 - 64850, 0.22],
+    [197300 - 103350, 0.24],
+    [250500 - 197300, 0.32],
+    [626350 - 250500, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_MFS_2025 = [
+    [11925, 0.10],
+    [48475 - 11925, 0.12],
+    [103350 - 48475, 0.22],
+    [197300 - 103350, 0.24],
+    [250525 - 197300, 0.32],
+    [375800 - 250525, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const CAPITAL_GAINS_SINGLE_2025 = [
+    [48350, 0],
+    [533400 - 48350, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MARRIED_2025 = [
+    [96700, 0],
+    [600050 - 96700, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_HOH_2025 = [
+    [64750, 0],
+    [566700 - 64750, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MFS_2025 = [
+    [48350, 0],
+    [300000 - 48350, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  // Standard deductions, the $40K SALT cap and the $2,200 child tax credit
+  // reflect the July 2025 law (OBBBA)
+  const CONSTANTS_2025 = {
+    standardDeductionSingle: 15750,
+    standardDeductionMarried: 31500,
+    standardDeductionHeadOfHousehold: 23625,
+    standardDeductionMarriedSeparate: 15750,
+    nyStandardDeductionSingle: 8000,
+    nyStandardDeductionMarried: 16050,
+    nyStandardDeductionHeadOfHousehold: 11200,
+    nyStandardDeductionMarriedSeparate: 8000,
+    ssRate: 0.062,
+    ssWageBase: 176100,
+    medicareRate: 0.0145,
+    medicareAdditionalRate: 0.009,
+    medicareThresholdSingle: 200000,
+    medicareThresholdMarried: 250000,
+    medicareThresholdHeadOfHousehold: 200000,
+    medicareThresholdMarriedSeparate: 125000,
+    retirementLimit: 23500,
+    hsaLimitSelf: 4300,
+    hsaLimitFamily: 8550,
+    commuterLimit: 325 * 12,
+    niitRate: 0.038,
+    niitThresholdSingle: 200000,
+    niitThresholdMarried: 250000,
+    niitThresholdHeadOfHousehold: 200000,
+    niitThresholdMarriedSeparate: 125000,
+    nyRecaptureAgi: 107650,
+    nyRecapturePhaseIn: 50000,
+    nyFlatRateAgi: 25000000,
+    supplementalRate: 0.22,
+    supplementalRateHigh: 0.37,
+    supplementalHighThreshold: 1000000,
+    nySupplementalRate: 0.117,
+    nycSupplementalRate: 0.0425,
+    medicareWithholdingThreshold: 200000,
+    amtRate: 0.26,
+    amtRateHigh: 0.28,
+    amtExemptionSingle: 88100,
+    amtExemptionMarried: 137000,
+    amtExemptionHeadOfHousehold: 88100,
+    amtExemptionMarriedSeparate: 68500,
+    amtPhaseOutSingle: 626350,
+    amtPhaseOutMarried: 1252700,
+    amtPhaseOutHeadOfHousehold: 626350,
+    amtPhaseOutMarriedSeparate: 626350,
+    amtPhaseOutRate: 0.25,
+    amtRateBreakSingle: 239100,
+    amtRateBreakMarried: 239100,
+    amtRateBreakHeadOfHousehold: 239100,
+    amtRateBreakMarriedSeparate: 119550,
+    saltCapSingle: 40000,
+    saltCapMarried: 40000,
+    saltCapHeadOfHousehold: 40000,
+    saltCapMarriedSeparate: 20000,
+    saltCapPhaseOutSingle: 500000,
+    saltCapPhaseOutMarried: 500000,
+    saltCapPhaseOutHeadOfHousehold: 500000,
+    saltCapPhaseOutMarriedSeparate: 250000,
+    saltCapFloorSingle: 10000,
+    saltCapFloorMarried: 10000,
+    saltCapFloorHeadOfHousehold: 10000,
+    saltCapFloorMarriedSeparate: 5000,
+    saltCapPhaseOutRate: 0.3,
+    medicalFloorRate: 0.075,
+    nyItemizedLimitAgiSingle: 100000,
+    nyItemizedLimitAgiMarried: 200000,
+    nyItemizedLimitAgiHeadOfHousehold: 150000,
+    nyItemizedLimitAgiMarriedSeparate: 100000,
+    nyItemizedLimitPhaseIn: 50000,
+    nyItemizedLimitRate: 0.25,
+    nyItemizedLimitUpperAgi: 475000,
+    nyItemizedCharitableOnlyAgi: 1000000,
+    nyItemizedCharitableRate: 0.5,
+    nyItemizedTopAgi: 10000000,
+    nyItemizedTopCharitableRate: 0.25,
+    yonkersSurchargeRate: 0.1675,
+    njExemptionSingle: 1000,
+    njExemptionMarried: 2000,
+    njExemptionHeadOfHousehold: 1000,
+    njExemptionMarriedSeparate: 1000,
+    ctRecaptureStartSingle: 200000,
+    ctRecaptureStartMarried: 400000,
+    ctRecaptureStartHeadOfHousehold: 320000,
+    ctRecaptureStartMarriedSeparate: 200000,
+    ctRecaptureEndSingle: 500000,
+    ctRecaptureEndMarried: 1000000,
+    ctRecaptureEndHeadOfHousehold: 800000,
+    ctRecaptureEndMarriedSeparate: 500000,
+    caStandardDeductionSingle: 5540,
+    caStandardDeductionMarried: 11080,
+    caStandardDeductionHeadOfHousehold: 11080,
+    caStandardDeductionMarriedSeparate: 5540,
+    caSdiRate: 0.012,
+    caSupplementalRate: 0.066,
+    waCaresRate: 0.0058,
+    waCapitalGainsDeduction: 278000,
+    waCapitalGainsRate: 0.07,
+    waCapitalGainsHighRate: 0.099,
+    waCapitalGainsHighThreshold: 1000000,
+    seEarningsRate: 0.9235,
+    seMinimumEarnings: 400,
+    seEmployerContributionRate: 0.2,
+    annualAdditionsLimit: 70000,
+    qbiRate: 0.2,
+    qbiThresholdSingle: 197300,
+    qbiThresholdMarried: 394600,
+    qbiThresholdHeadOfHousehold: 197300,
+    qbiThresholdMarriedSeparate: 197300,
+    qbiPhaseInSingle: 50000,
+    qbiPhaseInMarried: 100000,
+    qbiPhaseInHeadOfHousehold: 50000,
+    qbiPhaseInMarriedSeparate: 50000,
+    ubtRate: 0.04,
+    ubtExemption: 5000,
+    ubtOwnerAllowanceRate: 0.2,
+    ubtOwnerAllowanceMax: 10000,
+    ubtBusinessCreditFull: 3400,
+    ubtBusinessCreditEnd: 5400,
+    ubtCreditFullIncome: 42000,
+    ubtCreditMinIncome: 142000,
+    ubtCreditMinRate: 0.23,
+    ctcPerChild: 2200,
+    ctcRefundableMax: 1700,
+    ctcOtherDependent: 500,
+    ctcMaxAge: 16,
+    ctcPhaseOutSingle: 200000,
+    ctcPhaseOutMarried: 400000,
+    ctcPhaseOutHeadOfHousehold: 200000,
+    ctcPhaseOutMarriedSeparate: 200000,
+    ctcPhaseOutStep: 1000,
+    ctcPhaseOutAmount: 50,
+    ctcRefundableRate: 0.15,
+    ctcEarnedIncomeFloor: 2500,
+    dependentCareFsaLimitSingle: 5000,
+    dependentCareFsaLimitMarried: 5000,
+    dependentCareFsaLimitHeadOfHousehold: 5000,
+    dependentCareFsaLimitMarriedSeparate: 2500,
+    dependentCareMaxAge: 12,
+    dependentCareExpenseLimit: 3000,
+    dependentCareExpenseLimitMulti: 6000,
+    dependentCareRateMax: 0.35,
+    dependentCareRateMid: 0.2,
+    dependentCareRateMin: 0.2,
+    dependentCarePhaseOut: 15000,
+    dependentCarePhaseOutStep: 2000,
+    dependentCareSecondPhaseOutSingle: Infinity,
+    dependentCareSecondPhaseOutMarried: Infinity,
+    dependentCareSecondPhaseOutHeadOfHousehold: Infinity,
+    dependentCareSecondPhaseOutMarriedSeparate: Infinity,
+    dependentCareSecondStepSingle: 2000,
+    dependentCareSecondStepMarried: 4000,
+    dependentCareSecondStepHeadOfHousehold: 2000,
+    dependentCareSecondStepMarriedSeparate: 2000,
+    esccYoungChild: 1000,
+    esccChild: 330,
+    esccMinimumPhaseOut: 16.5,
+    esccRate: 0.33,
+    esccBaseCredit: 1000,
+    esccPhaseOutSingle: 75000,
+    esccPhaseOutMarried: 110000,
+    esccPhaseOutHeadOfHousehold: 75000,
+    esccPhaseOutMarriedSeparate: 55000,
+    nycChildCareRate: 0.75,
+    nycChildCareMaxAge: 3,
+    nycChildCareFullAgi: 25000,
+    nycChildCareEndAgi: 30000,
+    safeHarborCurrentRate: 0.9,
+    safeHarborPriorRate: 1.0,
+    safeHarborPriorHighRate: 1.1,
+    safeHarborHighAgiSingle: 150000,
+    safeHarborHighAgiMarried: 150000,
+    safeHarborHighAgiHeadOfHousehold: 150000,
+    safeHarborHighAgiMarriedSeparate: 75000,
+    estimatedTaxMinimum: 1000,
+    estimatedTaxPenaltyRate: 0.07,
+    nyEstimatedTaxMinimum: 300,
+    nyEstimatedTaxPenaltyRate: 0.095,
+  };
+
+  // ── Tax Brackets (2026) ───────────────────────────────────
+
+  const FEDERAL_SINGLE_2026 = [
+    [12400, 0.10],
+    [50400 - 12400, 0.12],
+    [105700 - 50400, 0.22],
+    [201775 - 105700, 0.24],
+    [256225 - 201775, 0.32],
+    [640600 - 256225, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_MARRIED_2026 = [
+    [24800, 0.10],
+    [100800 - 24800, 0.12],
+    [211400 - 100800, 0.22],
+    [403550 - 211400, 0.24],
+    [512450 - 403550, 0.32],
+    [768700 - 512450, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_HOH_2026 = [
+    [17700, 0.10],
+    [67450 - 17700, 0.12],
+    [105700 - 67450, 0.22],
+    [201750 - 105700, 0.24],
+    [256200 - 201750, 0.32],
+    [640600 - 256200, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  const FEDERAL_MFS_2026 = [
+    [12400, 0.10],
+    [50400 - 12400, 0.12],
+    [105700 - 50400, 0.22],
+    [201775 - 105700, 0.24],
+    [256225 - 201775, 0.32],
+    [384350 - 256225, 0.35],
+    [Infinity, 0.37],
+  ];
+
+  // NY cut the rates on its first five brackets starting in 2026
+  const NY_STATE_2026 = [
+    [8500, 0.039],
+    [11700 - 8500, 0.044],
+    [13900 - 11700, 0.0515],
+    [80650 - 13900, 0.054],
+    [215400 - 80650, 0.059],
+    [1077550 - 215400, 0.0685],
+    [5000000 - 1077550, 0.0965],
+    [25000000 - 5000000, 0.103],
+    [Infinity, 0.109],
+  ];
+
+  const NY_STATE_MARRIED_2026 = [
+    [17150, 0.039],
+    [23600 - 17150, 0.044],
+    [27900 - 23600, 0.0515],
+    [161550 - 27900, 0.054],
+    [323200 - 161550, 0.059],
+    [2155350 - 323200, 0.0685],
+    [5000000 - 2155350, 0.0965],
+    [25000000 - 5000000, 0.103],
+    [Infinity, 0.109],
+  ];
+
+  const NY_STATE_HOH_2026 = [
+    [12800, 0.039],
+    [17650 - 12800, 0.044],
+    [20900 - 17650, 0.0515],
+    [107650 - 20900, 0.054],
+    [269300 - 107650, 0.059],
+    [1616450 - 269300, 0.0685],
+    [5000000 - 1616450, 0.0965],
+    [25000000 - 5000000, 0.103],
+    [Infinity, 0.109],
+  ];
+
+  const CAPITAL_GAINS_SINGLE_2026 = [
+    [49450, 0],
+    [545500 - 49450, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MARRIED_2026 = [
+    [98900, 0],
+    [613700 - 98900, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_HOH_2026 = [
+    [66200, 0],
+    [579600 - 66200, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  const CAPITAL_GAINS_MFS_2026 = [
+    [49450, 0],
+    [306850 - 49450, 0.15],
+    [Infinity, 0.20],
+  ];
+
+  // OBBBA lowers the AMT exemption phase-out thresholds and doubles the
+  // phase-out rate from 2026, widens the QBI phase-in range, and raises the
+  // dependent care credit rate and FSA limit
+  const CONSTANTS_2026 = {
+    standardDeductionSingle: 16100,
+    standardDeductionMarried: 32200,
+    standardDeductionHeadOfHousehold: 24150,
+    standardDeductionMarriedSeparate: 16100,
+    nyStandardDeductionSingle: 8000,
+    nyStandardDeductionMarried: 16050,
+    nyStandardDeductionHeadOfHousehold: 11200,
+    nyStandardDeductionMarriedSeparate: 8000,
+    ssRate: 0.062,
+    ssWageBase: 184500,
+    medicareRate: 0.0145,
+    medicareAdditionalRate: 0.009,
+    medicareThresholdSingle: 200000,
+    medicareThresholdMarried: 250000,
+    medicareThresholdHeadOfHousehold: 200000,
+    medicareThresholdMarriedSeparate: 125000,
+    retirementLimit: 24500,
+    hsaLimitSelf: 4400,
+    hsaLimitFamily: 8750,
+    commuterLimit: 340 * 12,
+    niitRate: 0.038,
+    niitThresholdSingle: 200000,
+    niitThresholdMarried: 250000,
+    niitThresholdHeadOfHousehold: 200000,
+    niitThresholdMarriedSeparate: 125000,
+    nyRecaptureAgi: 107650,
+    nyRecapturePhaseIn: 50000,
+    nyFlatRateAgi: 25000000,
+    supplementalRate: 0.22,
+    supplementalRateHigh: 0.37,
+    supplementalHighThreshold: 1000000,
+    nySupplementalRate: 0.117,
+    nycSupplementalRate: 0.0425,
+    medicareWithholdingThreshold: 200000,
+    amtRate: 0.26,
+    amtRateHigh: 0.28,
+    amtExemptionSingle: 90100,
+    amtExemptionMarried: 140200,
+    amtExemptionHeadOfHousehold: 90100,
+    amtExemptionMarriedSeparate: 70100,
+    amtPhaseOutSingle: 500000,
+    amtPhaseOutMarried: 1000000,
+    amtPhaseOutHeadOfHousehold: 500000,
+    amtPhaseOutMarriedSeparate: 500000,
+    amtPhaseOutRate: 0.5,
+    amtRateBreakSingle: 244500,
+    amtRateBreakMarried: 244500,
+    amtRateBreakHeadOfHousehold: 244500,
+    amtRateBreakMarriedSeparate: 122250,
+    saltCapSingle: 40400,
+    saltCapMarried: 40400,
+    saltCapHeadOfHousehold: 40400,
+    saltCapMarriedSeparate: 20200,
+    saltCapPhaseOutSingle: 505000,
+    saltCapPhaseOutMarried: 505000,
+    saltCapPhaseOutHeadOfHousehold: 505000,
+    saltCapPhaseOutMarriedSeparate: 252500,
+    saltCapFloorSingle: 10000,
+    saltCapFloorMarried: 10000,
+    saltCapFloorHeadOfHousehold: 10000,
+    saltCapFloorMarriedSeparate: 5000,
+    saltCapPhaseOutRate: 0.3,
+    medicalFloorRate: 0.075,
+    nyItemizedLimitAgiSingle: 100000,
+    nyItemizedLimitAgiMarried: 200000,
+    nyItemizedLimitAgiHeadOfHousehold: 150000,
+    nyItemizedLimitAgiMarriedSeparate: 100000,
+    nyItemizedLimitPhaseIn: 50000,
+    nyItemizedLimitRate: 0.25,
+    nyItemizedLimitUpperAgi: 475000,
+    nyItemizedCharitableOnlyAgi: 1000000,
+    nyItemizedCharitableRate: 0.5,
+    nyItemizedTopAgi: 10000000,
+    nyItemizedTopCharitableRate: 0.25,
+    yonkersSurchargeRate: 0.1675,
+    njExemptionSingle: 1000,
+    njExemptionMarried: 2000,
+    njExemptionHeadOfHousehold: 1000,
+    njExemptionMarriedSeparate: 1000,
+    ctRecaptureStartSingle: 200000,
+    ctRecaptureStartMarried: 400000,
+    ctRecaptureStartHeadOfHousehold: 320000,
+    ctRecaptureStartMarriedSeparate: 200000,
+    ctRecaptureEndSingle: 500000,
+    ctRecaptureEndMarried: 1000000,
+    ctRecaptureEndHeadOfHousehold: 800000,
+    ctRecaptureEndMarriedSeparate: 500000,
+    caStandardDeductionSingle: 5540,
+    caStandardDeductionMarried: 11080,
+    caStandardDeductionHeadOfHousehold: 11080,
+    caStandardDeductionMarriedSeparate: 5540,
+    caSdiRate: 0.013,
+    caSupplementalRate: 0.066,
+    waCaresRate: 0.0058,
+    waCapitalGainsDeduction: 278000,
+    waCapitalGainsRate: 0.07,
+    waCapitalGainsHighRate: 0.099,
+    waCapitalGainsHighThreshold: 1000000,
+    seEarningsRate: 0.9235,
+    seMinimumEarnings: 400,
+    seEmployerContributionRate: 0.2,
+    annualAdditionsLimit: 72000,
+    qbiRate: 0.2,
+    qbiThresholdSingle: 201750,
+    qbiThresholdMarried: 403500,
+    qbiThresholdHeadOfHousehold: 201750,
+    qbiThresholdMarriedSeparate: 201750,
+    qbiPhaseInSingle: 75000,
+    qbiPhaseInMarried: 150000,
+    qbiPhaseInHeadOfHousehold: 75000,
+    qbiPhaseInMarriedSeparate: 75000,
+    ubtRate: 0.04,
+    ubtExemption: 5000,
+    ubtOwnerAllowanceRate: 0.2,
+    ubtOwnerAllowanceMax: 10000,
+    ubtBusinessCreditFull: 3400,
+    ubtBusinessCreditEnd: 5400,
+    ubtCreditFullIncome: 42000,
+    ubtCreditMinIncome: 142000,
+    ubtCreditMinRate: 0.23,
+    ctcPerChild: 2200,
+    ctcRefundableMax: 1700,
+    ctcOtherDependent: 500,
+    ctcMaxAge: 16,
+    ctcPhaseOutSingle: 200000,
+    ctcPhaseOutMarried: 400000,
+    ctcPhaseOutHeadOfHousehold: 200000,
+    ctcPhaseOutMarriedSeparate: 200000,
+    ctcPhaseOutStep: 1000,
+    ctcPhaseOutAmount: 50,
+    ctcRefundableRate: 0.15,
+    ctcEarnedIncomeFloor: 2500,
+    dependentCareFsaLimitSingle: 7500,
+    dependentCareFsaLimitMarried: 7500,
+    dependentCareFsaLimitHeadOfHousehold: 7500,
+    dependentCareFsaLimitMarriedSeparate: 3750,
+    dependentCareMaxAge: 12,
+    dependentCareExpenseLimit: 3000,
+    dependentCareExpenseLimitMulti: 6000,
+    dependentCareRateMax: 0.5,
+    dependentCareRateMid: 0.35,
+    dependentCareRateMin: 0.2,
+    dependentCarePhaseOut: 15000,
+    dependentCarePhaseOutStep: 2000,
+    dependentCareSecondPhaseOutSingle: 75000,
+    dependentCareSecondPhaseOutMarried: 150000,
+    dependentCareSecondPhaseOutHeadOfHousehold: 75000,
+    dependentCareSecondPhaseOutMarriedSeparate: 75000,
+    dependentCareSecondStepSingle: 2000,
+    dependentCareSecondStepMarried: 4000,
+    dependentCareSecondStepHeadOfHousehold: 2000,
+    dependentCareSecondStepMarriedSeparate: 2000,
+    esccYoungChild: 1000,
+    esccChild: 500,
+    esccMinimumPhaseOut: 16.5,
+    esccRate: 0.33,
+    esccBaseCredit: 1000,
+    esccPhaseOutSingle: 75000,
+    esccPhaseOutMarried: 110000,
+    esccPhaseOutHeadOfHousehold: 75000,
+    esccPhaseOutMarriedSeparate: 55000,
+    nycChildCareRate: 0.75,
+    nycChildCareMaxAge: 3,
+    nycChildCareFullAgi: 25000,
+    nycChildCareEndAgi: 30000,
+    safeHarborCurrentRate: 0.9,
+    safeHarborPriorRate: 1.0,
+    safeHarborPriorHighRate: 1.1,
+    safeHarborHighAgiSingle: 150000,
+    safeHarborHighAgiMarried: 150000,
+    safeHarborHighAgiHeadOfHousehold: 150000,
+    safeHarborHighAgiMarriedSeparate: 75000,
+    estimatedTaxMinimum: 1000,
+    estimatedTaxPenaltyRate: 0.07,
+    nyEstimatedTaxMinimum: 300,
+    nyEstimatedTaxPenaltyRate: 0.095,
+  };
+
+  // ── Pre-Tax Deduction Treatment ───────────────────────────
+
+  // Which wage bases each payroll deduction reduces. 401(k) deferrals still
+  // owe FICA; Section 125 cafeteria-plan items (health insurance, HSA via
+  // payroll, FSA) and Section 132(f) commuter benefits are exempt everywhere
+  // except New Jersey, which taxes cafeteria-plan contributions and HSAs, and
+  // California, which taxes HSAs.
+  const PRETAX_TREATMENT = {
+    retirement: { label: '401(k)', federal: true, fica: false, ny: true, nyc: true, nj: true, ca: true },
+    insurance: { label: 'Health Insurance', federal: true, fica: true, ny: true, nyc: true, nj: false, ca: true },
+    hsa: { label: 'HSA', federal: true, fica: true, ny: true, nyc: true, nj: false, ca: false },
+    otherDeductions: { label: 'Other Pre-Tax', federal: true, fica: true, ny: true, nyc: true, nj: false, ca: true },
+    commuter: { label: 'Commuter Benefit', federal: true, fica: true, ny: true, nyc: true, nj: true, ca: true },
+    dependentCare: { label: 'Dependent Care FSA', federal: true, fica: true, ny: true, nyc: true, nj: true, ca: true },
+  };
+
+  // ── Self-Employed Retirement Plans ────────────────────────
+
+  // Plans a sole proprietor can fund from net self-employment earnings. Both
+  // allow an employer contribution of 20% of net earnings after the half-SE-tax
+  // deduction; a Solo 401(k) adds an employee deferral that shares the annual
+  // 401(k) limit with any W-2 job.
+  const SE_RETIREMENT_PLANS = {
+    sep: { label: 'SEP-IRA', employeeDeferral: false },
+    solo401k: { label: 'Solo 401(k)', employeeDeferral: true },
+  };
+
+  // ── Jurisdictions ─────────────────────────────────────────
+
+  // Where the household lives. NY residents pay NY tax on all income plus
+  // any local resident tax. NJ and CT residents working in NYC (`nyWork`) pay
+  // NY nonresident tax on their NY-source wages (no NYC tax) and resident tax
+  // at home, less a credit for the tax paid to NY. CA, WA and TX are for
+  // jobs based there, with no NY tax at all.
+  const JURISDICTIONS = {
+    nyc: { label: 'New York City', state: 'ny', nyWork: true, local: 'nyc', localLabel: 'NYC Tax', payrollLabel: null },
+    yonkers: { label: 'Yonkers', state: 'ny', nyWork: true, local: 'yonkers', localLabel: 'Yonkers Surcharge', payrollLabel: null },
+    nyOther: { label: 'Elsewhere in New York', state: 'ny', nyWork: true, local: null, localLabel: null, payrollLabel: null },
+    nj: { label: 'New Jersey', state: 'nj', nyWork: true, local: null, localLabel: null, payrollLabel: null },
+    ct: { label: 'Connecticut', state: 'ct', nyWork: true, local: null, localLabel: null, payrollLabel: null },
+    ca: { label: 'California', state: 'ca', nyWork: false, local: null, localLabel: null, payrollLabel: 'CA SDI' },
+    wa: { label: 'Washington', state: 'wa', nyWork: false, local: null, localLabel: null, payrollLabel: 'WA Cares' },
+    tx: { label: 'Texas', state: 'tx', nyWork: false, local: null, localLabel: null, payrollLabel: null },
+  };
+
+  const DEFAULT_RESIDENCE = 'nyc';
+
+  // ── City Profiles ─────────────────────────────────────────
+
+  // Cities to compare offers across: the residence whose tax rules apply and
+  // a rough cost of living relative to NYC for each SLIDER_CONFIG category
+  // (categories not listed cost the same as in NYC).
+  const CITY_PROFILES = {
+    nyc: { label: 'New York City', residence: 'nyc', costOfLiving: {} },
+    sf: {
+      label: 'San Francisco',
+      residence: 'ca',
+      costOfLiving: { housing: 0.95, food: 1.0, nightlife: 0.95, travel: 1.0, health: 1.05, shopping: 1.0, kids: 1.0 },
+    },
+    seattle: {
+      label: 'Seattle',
+      residence: 'wa',
+      costOfLiving: { housing: 0.7, food: 0.9, nightlife: 0.85, travel: 1.0, health: 0.95, shopping: 0.95, kids: 0.85 },
+    },
+    austin: {
+      label: 'Austin',
+      residence: 'tx',
+      costOfLiving: { housing: 0.5, food: 0.8, nightlife: 0.75, travel: 1.0, health: 0.9, shopping: 0.9, kids: 0.6 },
+    },
+  };
+
+  // ── Dependents ────────────────────────────────────────────
+
+  // Annual NYC cost of raising a child by age band. `care` is daycare,
+  // after-school and day camp — the dependent care expenses the credits
+  // cover, for children under 13 — and `other` is everything else.
+  const CHILD_COSTS = [
+    { maxAge: 4, label: 'Infant & preschool', care: 30000, other: 8000 },
+    { maxAge: 12, label: 'School age', care: 12000, other: 10000 },
+    { maxAge: 17, label: 'Teen', care: 0, other: 14000 },
+  ];
+
+  // NY child and dependent care credit as a share of the federal credit, by
+  // NY AGI (IT-216). Linear between points, flat beyond the ends.
+  const NY_CHILD_CARE_RATE = [
+    [25000, 1.1],
+    [40000, 1.0],
+    [50000, 1.0],
+    [65000, 0.2],
+  ];
+
+  // ── Estimated Tax ─────────────────────────────────────────
+
+  // 1040-ES and IT-2105 installment due dates as [year offset, month (0-11),
+  // day]; a date on a weekend moves to the Monday. Returns are due April 15.
+  const ESTIMATED_TAX_DUE_DATES = [
+    [0, 3, 15],
+    [0, 5, 15],
+    [0, 8, 15],
+    [1, 0, 15],
+  ];
+  const FILING_DUE_DATE = [1, 3, 15];
+
+  // ── NY Tax Benefit Recapture ──────────────────────────────
+
+  // Above nyRecaptureAgi of NY AGI the benefit of the lower brackets is phased
+  // out. In the first tier, all taxable income up to the top of this bracket
+  // index is taxed at its rate (IT-201 tax computation worksheets 1, 7, 13).
+  const NY_RECAPTURE_TIER = { single: 4, married: 3, headOfHousehold: 4, marriedSeparate: 4 };
+
+  // ── Investment Income ─────────────────────────────────────
+
+  // Household investment income. None of it owes FICA; `preferential` types
+  // use the federal 0/15/20% capital gains rates, everything is subject to
+  // NIIT, and NY/NYC tax all of it as ordinary income.
+  const INVESTMENT_INCOME = {
+    shortTermGains: { label: 'Short-Term Gains', preferential: false },
+    longTermGains: { label: 'Long-Term Gains', preferential: true },
+    qualifiedDividends: { label: 'Qualified Dividends', preferential: true },
+    interest: { label: 'Interest', preferential: false },
+  };
+
+  // ── Income Stacking ───────────────────────────────────────
+
+  // Wage streams in the order computeIncomeAttribution layers them on top of
+  // the household's other income. Salary goes first and brings the payroll
+  // deductions it funds; the bonus goes last, so it bears the top brackets
+  // and the least Social Security.
+  const INCOME_STACK = {
+    salary: { label: 'Salary', preTax: true },
+    otherIncome: { label: 'Other Wage Income', preTax: false },
+    rsuIncome: { label: 'RSU Vests', preTax: false },
+    bonus: { label: 'Cash Bonuses', preTax: false },
+  };
+
+  // ── Filing Statuses ───────────────────────────────────────
+
+  // `suffix` selects the per-status CONSTANTS key, e.g. standardDeductionMarried
+  const FILING_STATUSES = {
+    single: { label: 'Single', suffix: 'Single' },
+    married: { label: 'Married Filing Jointly', suffix: 'Married' },
+    headOfHousehold: { label: 'Head of Household', suffix: 'HeadOfHousehold' },
+    marriedSeparate: { label: 'Married Filing Separately', suffix: 'MarriedSeparate' },
+  };
+
+  // ── Tax Year Tables ───────────────────────────────────────
+
+  // Everything that changes from year to year, keyed by tax year.
+  // Bracket tables are keyed by filing status.
+  const TAX_YEARS = {
+    2024: {
+      federal: {
+        single: FEDERAL_SINGLE,
+        married: FEDERAL_MARRIED,
+        headOfHousehold: FEDERAL_HOH,
+        marriedSeparate: FEDERAL_MFS,
+      },
+      nyState: {
+        single: NY_STATE,
+        married: NY_STATE_MARRIED,
+        headOfHousehold: NY_STATE_HOH,
+        marriedSeparate: NY_STATE,
+      },
+      nyc: {
+        single: NYC_TAX,
+        married: NYC_TAX_MARRIED,
+        headOfHousehold: NYC_TAX_HOH,
+        marriedSeparate: NYC_TAX,
+      },
+      nj: {
+        single: NJ_TAX,
+        married: NJ_TAX_MARRIED,
+        headOfHousehold: NJ_TAX_MARRIED,
+        marriedSeparate: NJ_TAX,
+      },
+      ct: {
+        single: CT_TAX,
+        married: CT_TAX_MARRIED,
+        headOfHousehold: CT_TAX_HOH,
+        marriedSeparate: CT_TAX,
+      },
+      ca: {
+        single: CA_TAX,
+        married: CA_TAX_MARRIED,
+        headOfHousehold: CA_TAX_HOH,
+        marriedSeparate: CA_TAX,
+      },
+      capitalGains: {
+        single: CAPITAL_GAINS_SINGLE,
+        married: CAPITAL_GAINS_MARRIED,
+        headOfHousehold: CAPITAL_GAINS_HOH,
+        marriedSeparate: CAPITAL_GAINS_MFS,
+      },
+      constants: CONSTANTS,
+    },
+    2025: {
+      federal: {
+        single: FEDERAL_SINGLE_2025,
+        married: FEDERAL_MARRIED_2025,
+        headOfHousehold: FEDERAL_HOH_2025,
+        marriedSeparate: FEDERAL_MFS_2025,
+      },
+      nyState: {
+        single: NY_STATE,
+        married: NY_STATE_MARRIED,
+        headOfHousehold: NY_STATE_HOH,
+        marriedSeparate: NY_STATE,
+      },
+      nyc: {
+        single: NYC_TAX,
+        married: NYC_TAX_MARRIED,
+        headOfHousehold: NYC_TAX_HOH,
+        marriedSeparate: NYC_TAX,
+      },
+      nj: {
+        single: NJ_TAX,
+        married: NJ_TAX_MARRIED,
+        headOfHousehold: NJ_TAX_MARRIED,
+        marriedSeparate: NJ_TAX,
+      },
+      ct: {
+        single: CT_TAX,
+        married: CT_TAX_MARRIED,
+        headOfHousehold: CT_TAX_HOH,
+        marriedSeparate: CT_TAX,
+      },
+      ca: {
+        single: CA_TAX,
+        married: CA_TAX_MARRIED,
+        headOfHousehold: CA_TAX_HOH,
+        marriedSeparate: CA_TAX,
+      },
+      capitalGains: {
+        single: CAPITAL_GAINS_SINGLE_2025,
+        married: CAPITAL_GAINS_MARRIED_2025,
+        headOfHousehold: CAPITAL_GAINS_HOH_2025,
+        marriedSeparate: CAPITAL_GAINS_MFS_2025,
+      },
+      constants: CONSTANTS_2025,
+    },
+    2026: {
+      federal: {
+        single: FEDERAL_SINGLE_2026,
+        married: FEDERAL_MARRIED_2026,
+        headOfHousehold: FEDERAL_HOH_2026,
+        marriedSeparate: FEDERAL_MFS_2026,
+      },
+      nyState: {
+        single: NY_STATE_2026,
+        married: NY_STATE_MARRIED_2026,
+        headOfHousehold: NY_STATE_HOH_2026,
+        marriedSeparate: NY_STATE_2026,
+      },
+      nyc: {
+        single: NYC_TAX,
+        married: NYC_TAX_MARRIED,
+        headOfHousehold: NYC_TAX_HOH,
+        marriedSeparate: NYC_TAX,
+      },
+      nj: {
+        single: NJ_TAX,
+        married: NJ_TAX_MARRIED,
+        headOfHousehold: NJ_TAX_MARRIED,
+        marriedSeparate: NJ_TAX,
+      },
+      ct: {
+        single: CT_TAX,
+        married: CT_TAX_MARRIED,
+        headOfHousehold: CT_TAX_HOH,
+        marriedSeparate: CT_TAX,
+      },
+      ca: {
+        single: CA_TAX,
+        married: CA_TAX_MARRIED,
+        headOfHousehold: CA_TAX_HOH,
+        marriedSeparate: CA_TAX,
+      },
+      capitalGains: {
+        single: CAPITAL_GAINS_SINGLE_2026,
+        married: CAPITAL_GAINS_MARRIED_2026,
+        headOfHousehold: CAPITAL_GAINS_HOH_2026,
+        marriedSeparate: CAPITAL_GAINS_MFS_2026,
+      },
+      constants: CONSTANTS_2026,
+    },
   };
 
+  const DEFAULT_TAX_YEAR = 2024;
+
   // ── Frequency Multipliers ─────────────────────────────────
 
   const FREQ_TO_ANNUAL = { annual: 1, monthly: 12, weekly: 52, daily: 365 };
 
   // ── Slider Configuration ──────────────────────────────────
 
-  // Percentage-of-income ranges and display time scales for each category
+  // What a slider position is measured against. Percentage modes use a
+  // category's minPct..maxPct; fixed uses minAmount..maxAmount, in dollars
+  // per displayFreq period. A category without a mode is 'gross'.
+  const SLIDER_MODES = {
+    gross: '% of gross',
+    takeHome: '% of take-home',
+    fixed: 'Fixed amount',
+  };
+
+  // How a slider position spreads over minPct..maxPct. 'log' needs
+  // minPct > 0; 'piecewise' bends at interior [sliderValue, pct] points;
+  // 'income' is linear up to refIncome of gross and shrinks the whole band
+  // by (refIncome / gross) ^ elasticity above it. Without a curve, 'linear'.
+  const SLIDER_CURVES = {
+    linear: 'Linear',
+    log: 'Logarithmic',
+    piecewise: 'Piecewise',
+    income: 'Shrinks with income',
+  };
+
+  // Percentage-of-income and dollar ranges, curves, display time scales and
+  // colors for each category, with typical NYC spending as [low, high]
+  // dollars per displayFreq period. These are the defaults; setCategories
+  // replaces them with the user's own.
   const SLIDER_CONFIG = {
     housing: {
       minPct: 0.05,    // 5%
       maxPct: 0.50,    // 50%
+      curve: 'income',
+      refIncome: 250000,
+      elasticity: 0.5,
+      minAmount: 500,  // $500/mo
+      maxAmount: 15000, // $15,000/mo
       displayFreq: 'monthly',
+      typical: [2500, 6000],
       label: 'Housing & Home',
+      color: '#6cb8ff',
     },
     food: {
       minPct: 0.01,    // 1%
       maxPct: 0.10,    // 10%
+      minAmount: 50,   // $50/wk
+      maxAmount: 2000, // $2,000/wk
       displayFreq: 'weekly',
+      typical: [150, 400],
       label: 'Food & Dining',
+      color: '#5cc89a',
     },
     nightlife: {
       minPct: 0.005,   // 0.5%
       maxPct: 0.10,    // 10%
+      minAmount: 0,    // $0/wk
+      maxAmount: 1000, // $1,000/wk
       displayFreq: 'weekly',
+      typical: [50, 250],
       label: 'Entertainment & Hobbies',
+      color: '#b08cff',
     },
     travel: {
       minPct: 0.01,    // 1%
       maxPct: 0.20,    // 20%
+      minAmount: 0,    // $0/yr
+      maxAmount: 100000, // $100,000/yr
       displayFreq: 'annual',
+      typical: [3000, 15000],
       label: 'Travel & Experiences',
+      color: '#e0a050',
     },
     health: {
       minPct: 0.001,   // 0.1%
       maxPct: 0.05,    // 5%
+      minAmount: 0,    // $0/mo
+      maxAmount: 2000, // $2,000/mo
       displayFreq: 'monthly',
+      typical: [50, 300],
       label: 'Health & Wellness',
+      color: '#e07070',
     },
     shopping: {
       minPct: 0.01,    // 1%
       maxPct: 0.15,    // 15%
+      minAmount: 0,    // $0/mo
+      maxAmount: 5000, // $5,000/mo
       displayFreq: 'monthly',
+      typical: [200, 800],
       label: 'Style & Shopping',
+      color: '#d4c455',
+    },
+    // Priced from CHILD_COSTS for the household's dependents rather than
+    // income; the slider scales the cost model
+    kids: {
+      perChild: true,
+      minScale: 0.5,   // 0.5x
+      maxScale: 1.5,   // 1.5x
+      displayFreq: 'monthly',
+      label: 'Childcare & Kids',
+      color: '#5cc8c8',
     },
   };
 
+  // Paychecks per year for each payroll schedule
+  const PAY_FREQUENCIES = {
+    weekly: { label: 'Weekly', periods: 52 },
+    biweekly: { label: 'Biweekly', periods: 26 },
+    semimonthly: { label: 'Semimonthly', periods: 24 },
+    monthly: { label: 'Monthly', periods: 12 },
+  };
+
   // Maps display frequency to annual divisor
   const FREQ_DIVISORS = { annual: 1, monthly: 12, weekly: 52, daily: 365 };
 
@@ -152,6 +1387,21 @@ const TaxEngine = (function () {
     ],
   };
 
+  // Display names for spending line items, including the ones no slider
+  // category covers (shown under "Other")
+  const SPENDING_ITEM_LABELS = {
+    rent: 'Rent', utilities: 'Utilities', rentersins: 'Renters Insurance', laundry: 'Laundry',
+    internet: 'Internet', phone: 'Phone',
+    groceries: 'Groceries', dining: 'Dining Out', takeout: 'Takeout', lunch: 'Lunch', coffee: 'Coffee',
+    snacks: 'Snacks', tips: 'Tips',
+    bars: 'Bars', entertainment: 'Entertainment', rideshare: 'Rideshare',
+    vacations: 'Vacations', flights: 'Flights',
+    gym: 'Gym', therapy: 'Therapy', medical: 'Medical',
+    clothing: 'Clothing', electronics: 'Electronics', furniture: 'Furniture', gifts: 'Gifts',
+    transit: 'Transit', streaming: 'Streaming', subscriptions: 'Subscriptions', pet: 'Pet',
+    taxpro: 'Tax Prep',
+  };
+
   // ── Presets ────────────────────────────────────────────────
   // Matrix: Rows = Role Type, Columns = Seniority Level
   // Big Tech: Meta levels.fyi (RSU reduced 25%)
@@ -161,7 +1411,7 @@ const TaxEngine = (function () {
   const PRESETS = {
     // Big Tech (Meta E5/E6/E7, RSU -25%)
     bigtech_senior: {
-      salary: 216000, bonus: 31000, otherIncome: 170000,
+      salary: 216000, bonus: 31000, rsuIncome: 170000,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 0,
       spending: {
         annual: { vacations: 8000, flights: 3000, furniture: 2500, clothing: 4000, electronics: 2000, gifts: 2000, medical: 1000, taxpro: 500 },
@@ -171,7 +1421,7 @@ const TaxEngine = (function () {
       },
     },
     bigtech_staff: {
-      salary: 256000, bonus: 52000, otherIncome: 312000,
+      salary: 256000, bonus: 52000, rsuIncome: 312000,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 1200,
       spending: {
         annual: { vacations: 15000, flights: 5000, furniture: 4000, clothing: 6000, electronics: 3000, gifts: 3000, medical: 1500, taxpro: 1000 },
@@ -181,7 +1431,7 @@ const TaxEngine = (function () {
       },
     },
     bigtech_principal: {
-      salary: 300000, bonus: 100000, otherIncome: 750000,
+      salary: 300000, bonus: 100000, rsuIncome: 750000,
       retirement: 23500, insurance: 4800, hsa: 4150, otherDeductions: 3600,
       spending: {
         annual: { vacations: 30000, flights: 10000, furniture: 6000, clothing: 10000, electronics: 5000, gifts: 6000, medical: 2000, taxpro: 3000 },
@@ -193,7 +1443,7 @@ const TaxEngine = (function () {
 
     // Quant (user-provided values)
     quant_senior: {
-      salary: 250000, bonus: 100000, otherIncome: 0,
+      salary: 250000, bonus: 100000, rsuIncome: 0,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 0,
       spending: {
         annual: { vacations: 10000, flights: 4000, furniture: 3000, clothing: 5000, electronics: 2500, gifts: 2500, medical: 1200, taxpro: 800 },
@@ -203,7 +1453,7 @@ const TaxEngine = (function () {
       },
     },
     quant_staff: {
-      salary: 275000, bonus: 300000, otherIncome: 0,
+      salary: 275000, bonus: 300000, rsuIncome: 0,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 1200,
       spending: {
         annual: { vacations: 18000, flights: 6000, furniture: 5000, clothing: 8000, electronics: 4000, gifts: 4000, medical: 1500, taxpro: 1500 },
@@ -213,7 +1463,7 @@ const TaxEngine = (function () {
       },
     },
     quant_principal: {
-      salary: 300000, bonus: 600000, otherIncome: 0,
+      salary: 300000, bonus: 600000, rsuIncome: 0,
       retirement: 23500, insurance: 4800, hsa: 4150, otherDeductions: 3600,
       spending: {
         annual: { vacations: 35000, flights: 12000, furniture: 8000, clothing: 12000, electronics: 6000, gifts: 8000, medical: 2500, taxpro: 4000 },
@@ -225,7 +1475,7 @@ const TaxEngine = (function () {
 
     // Research (OpenAI/Anthropic based)
     research_senior: {
-      salary: 200000, bonus: 50000, otherIncome: 200000,
+      salary: 200000, bonus: 50000, rsuIncome: 200000,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 0,
       spending: {
         annual: { vacations: 8000, flights: 3000, furniture: 2500, clothing: 4000, electronics: 2500, gifts: 2000, medical: 1000, taxpro: 500 },
@@ -235,7 +1485,7 @@ const TaxEngine = (function () {
       },
     },
     research_staff: {
-      salary: 250000, bonus: 100000, otherIncome: 400000,
+      salary: 250000, bonus: 100000, rsuIncome: 400000,
       retirement: 23500, insurance: 3600, hsa: 4150, otherDeductions: 1200,
       spending: {
         annual: { vacations: 15000, flights: 5000, furniture: 4000, clothing: 6000, electronics: 4000, gifts: 3500, medical: 1500, taxpro: 1200 },
@@ -245,7 +1495,7 @@ const TaxEngine = (function () {
       },
     },
     research_principal: {
-      salary: 300000, bonus: 150000, otherIncome: 550000,
+      salary: 300000, bonus: 150000, rsuIncome: 550000,
       retirement: 23500, insurance: 4800, hsa: 4150, otherDeductions: 3600,
       spending: {
         annual: { vacations: 25000, flights: 8000, furniture: 6000, clothing: 10000, electronics: 5000, gifts: 5000, medical: 2000, taxpro: 2500 },
@@ -280,10 +1530,19 @@ const TaxEngine = (function () {
 
   // ── Core Tax Computation ──────────────────────────────────
 
+  /**
+   * Tax on income run through a bracket schedule.
+   * @param {number} income
+   * @param {Array} brackets - [[size, rate], ...]
+   * @returns {Object} { tax, topRate, brackets } where brackets lists each
+   *   bracket the income reaches as { floor, ceiling, rate, taxable, tax }
+   */
   function calcBrackets(income, brackets) {
     var tax = 0;
     var remaining = income;
     var topRate = 0;
+    var floor = 0;
+    var rows = [];
     for (var i = 0; i < brackets.length; i++) {
       if (remaining <= 0) break;
       var size = brackets[i][0];
@@ -292,95 +1551,1137 @@ const TaxEngine = (function () {
       tax += taxable * rate;
       topRate = rate;
       remaining -= taxable;
+      rows.push({ floor: floor, ceiling: floor + size, rate: rate, taxable: taxable, tax: taxable * rate });
+      floor += size;
     }
-    return { tax: tax, topRate: topRate };
+    return { tax: tax, topRate: topRate, brackets: rows };
   }
 
   /**
-   * Compute all taxes from inputs. Pure function — no DOM access.
-   *
-   * @param {Object} inputs
-   * @param {number} inputs.salary
-   * @param {number} inputs.bonus
-   * @param {number} inputs.otherIncome
-   * @param {number} inputs.retirement
-   * @param {number} inputs.insurance
-   * @param {number} inputs.hsa
-   * @param {number} inputs.otherDeductions
-   * @param {string} inputs.filing - 'single' or 'married'
-   * @returns {Object} Full tax computation results
+   * Tax `amount` of income stacked on top of `base` income already occupying
+   * the lower brackets (e.g. capital gains on top of ordinary income).
+   * @param {number} base - Income already in the brackets
+   * @param {number} amount - Income being stacked
+   * @param {Array} brackets - [[size, rate], ...]
+   * @returns {Object} { tax, topRate, brackets } where brackets covers only
+   *   the stacked slice
    */
-  function computeTaxes(inputs) {
-    var salary = inputs.salary || 0;
-    var bonus = inputs.bonus || 0;
-    var otherIncome = inputs.otherIncome || 0;
-    var retirement = inputs.retirement || 0;
-    var insurance = inputs.insurance || 0;
-    var hsa = inputs.hsa || 0;
-    var otherDed = inputs.otherDeductions || 0;
-    var filing = inputs.filing || 'single';
+  function calcStacked(base, amount, brackets) {
+    if (amount <= 0) return { tax: 0, topRate: 0, brackets: [] };
+    var below = calcBrackets(base, brackets);
+    var total = calcBrackets(base + amount, brackets);
+    var rows = [];
+    for (var i = 0; i < total.brackets.length; i++) {
+      var row = total.brackets[i];
+      var taxable = row.taxable - (i < below.brackets.length ? below.brackets[i].taxable : 0);
+      if (taxable > 0) {
+        rows.push({ floor: row.floor, ceiling: row.ceiling, rate: row.rate, taxable: taxable,
+          tax: taxable * row.rate });
+      }
+    }
+    return { tax: total.tax - below.tax, topRate: total.topRate, brackets: rows };
+  }
 
-    var gross = salary + bonus + otherIncome;
-    var totalPreTax = retirement + insurance + hsa + otherDed;
+  /**
+   * NY supplemental tax ("tax benefit recapture") on top of the rate-schedule
+   * tax. Each tier phases in over nyRecapturePhaseIn dollars of NY AGI until
+   * all taxable income is effectively taxed at the rate of its top bracket.
+   *
+   * @param {number} nyAgi - NY adjusted gross income
+   * @param {number} taxable - NY taxable income
+   * @param {Array} brackets - NY State brackets for the filing status
+   * @param {number} firstTier - Index from NY_RECAPTURE_TIER
+   * @param {Object} constants - Tax year constants
+   * @returns {number} Recapture amount
+   */
+  function calcNyRecapture(nyAgi, taxable, brackets, firstTier, constants) {
+    if (nyAgi <= constants.nyRecaptureAgi || taxable <= 0) return 0;
+    var scheduleTax = calcBrackets(taxable, brackets).tax;
+    if (nyAgi > constants.nyFlatRateAgi) {
+      return brackets[brackets.length - 1][1] * taxable - scheduleTax;
+    }
 
-    // FICA is computed on gross (before 401k deduction)
-    var ssIncome = Math.min(gross, CONSTANTS.ssWageBase);
-    var ssTax = ssIncome * CONSTANTS.ssRate;
+    // Find the bracket holding the last dollar of taxable income
+    var lower = 0;
+    var b = 0;
+    while (b < brackets.length - 1 && taxable > lower + brackets[b][0]) {
+      lower += brackets[b][0];
+      b++;
+    }
 
-    var medicareThreshold = filing === 'married'
-      ? CONSTANTS.medicareThresholdMarried
-      : CONSTANTS.medicareThresholdSingle;
-    var medicareTax = gross * CONSTANTS.medicareRate;
-    if (gross > medicareThreshold) {
-      medicareTax += (gross - medicareThreshold) * CONSTANTS.medicareAdditionalRate;
+    if (b <= firstTier) {
+      var phase = Math.min(1, (nyAgi - constants.nyRecaptureAgi) / constants.nyRecapturePhaseIn);
+      return (brackets[firstTier][1] * taxable - scheduleTax) * phase;
     }
 
-    // Federal taxable income
-    var standardDed = filing === 'married'
-      ? CONSTANTS.standardDeductionMarried
-      : CONSTANTS.standardDeductionSingle;
-    var federalBrackets = filing === 'married' ? FEDERAL_MARRIED : FEDERAL_SINGLE;
-    var taxableIncome = Math.max(0, gross - totalPreTax - standardDed);
+    // Earlier tiers are fully recaptured; this tier's increment phases in
+    // as NY AGI rises past the bracket's lower bound
+    var prevRate = brackets[b - 1][1];
+    var base = prevRate * lower - calcBrackets(lower, brackets).tax;
+    var increment = (brackets[b][1] - prevRate) * lower;
+    var tierPhase = Math.min(1, Math.max(0, (nyAgi - lower) / constants.nyRecapturePhaseIn));
+    return base + increment * tierPhase;
+  }
 
-    // NY State + NYC taxable income (different standard deduction)
-    var nyStandardDed = filing === 'married'
-      ? CONSTANTS.nyStandardDeductionMarried
-      : CONSTANTS.nyStandardDeductionSingle;
-    var stateTaxableIncome = Math.max(0, gross - totalPreTax - nyStandardDed);
+  /**
+   * Federal tentative minimum tax (Form 6251). The exemption phases out above
+   * the AMTI threshold; the rest is taxed at 26/28%, except long-term gains and
+   * qualified dividends, which keep their capital gains rates.
+   *
+   * @param {number} amti - Alternative minimum taxable income
+   * @param {number} preferential - Long-term gains and qualified dividends in AMTI
+   * @param {Object} year - getTaxYear table
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {Object} { exemption, base, tax }
+   */
+  function calcTentativeMinimumTax(amti, preferential, year, filing) {
+    var C = year.constants;
+    var phaseOut = Math.max(0, amti - filingConstant(C, 'amtPhaseOut', filing)) * C.amtPhaseOutRate;
+    var exemption = Math.max(0, filingConstant(C, 'amtExemption', filing) - phaseOut);
+    var base = Math.max(0, amti - exemption);
+    var ordinary = Math.max(0, base - preferential);
+    var brackets = [
+      [filingConstant(C, 'amtRateBreak', filing), C.amtRate],
+      [Infinity, C.amtRateHigh],
+    ];
+    var tax = calcBrackets(ordinary, brackets).tax +
+      calcStacked(ordinary, base - ordinary, year.capitalGains[filing]).tax;
+    return { exemption: exemption, base: base, tax: tax };
+  }
 
-    var federal = calcBrackets(taxableIncome, federalBrackets);
-    var state = calcBrackets(stateTaxableIncome, NY_STATE);
-    var city = calcBrackets(stateTaxableIncome, NYC_TAX);
+  /**
+   * Federal SALT deduction cap. From 2025 the cap phases down by 30% of
+   * MAGI over the threshold, but never below the floor.
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @param {number} magi - Federal modified AGI
+   * @returns {number}
+   */
+  function calcSaltCap(constants, filing, magi) {
+    var cap = filingConstant(constants, 'saltCap', filing);
+    var excess = Math.max(0, magi - filingConstant(constants, 'saltCapPhaseOut', filing));
+    return Math.max(filingConstant(constants, 'saltCapFloor', filing),
+      cap - excess * constants.saltCapPhaseOutRate);
+  }
 
-    var totalTax = federal.tax + state.tax + city.tax + ssTax + medicareTax;
-    var totalDeductions = totalTax + totalPreTax;
-    var takeHome = gross - totalDeductions;
-    var effectiveRate = gross > 0 ? totalTax / gross : 0;
+  /**
+   * NY itemized deduction after the high-income limits (IT-196). Itemized
+   * deductions are cut by up to 25% over the first phase-in, up to 50% by the
+   * upper phase-in, and above $1M/$10M of NY AGI only 50%/25% of charitable
+   * gifts are allowed.
+   *
+   * @param {number} nyAgi - NY adjusted gross income
+   * @param {number} itemized - NY itemized deductions before the limit
+   * @param {number} charitable - Charitable gifts included in `itemized`
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {number}
+   */
+  function calcNyItemizedLimit(nyAgi, itemized, charitable, constants, filing) {
+    var C = constants;
+    if (nyAgi > C.nyItemizedTopAgi) return charitable * C.nyItemizedTopCharitableRate;
+    if (nyAgi > C.nyItemizedCharitableOnlyAgi) return charitable * C.nyItemizedCharitableRate;
 
-    return {
-      // Income
-      salary: salary,
-      bonus: bonus,
-      otherIncome: otherIncome,
-      gross: gross,
+    var over = nyAgi - filingConstant(C, 'nyItemizedLimitAgi', filing);
+    var reduction = Math.min(1, Math.max(0, over / C.nyItemizedLimitPhaseIn)) * C.nyItemizedLimitRate;
+    reduction += Math.min(1, Math.max(0, (nyAgi - C.nyItemizedLimitUpperAgi) / C.nyItemizedLimitPhaseIn)) *
+      C.nyItemizedLimitRate;
+    return itemized * (1 - reduction);
+  }
 
-      // Pre-tax
-      retirement: retirement,
-      insurance: insurance,
-      hsa: hsa,
-      otherDed: otherDed,
-      totalPreTax: totalPreTax,
-      taxableIncome: taxableIncome,
-      stateTaxableIncome: stateTaxableIncome,
+  /**
+   * Connecticut resident tax. CT's 2% phase-out add-back and benefit recapture
+   * together move high earners onto the top rate for all income; this phases
+   * that in linearly between the recapture start and end AGI.
+   * @param {number} ctAgi - CT AGI (federal AGI)
+   * @param {Object} year - getTaxYear table
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {Object} { tax, topRate }
+   */
+  function calcCtTax(ctAgi, year, filing) {
+    var C = year.constants;
+    var brackets = year.ct[filing];
+    var schedule = calcBrackets(ctAgi, brackets);
+    var start = filingConstant(C, 'ctRecaptureStart', filing);
+    var end = filingConstant(C, 'ctRecaptureEnd', filing);
+    var phase = Math.min(1, Math.max(0, (ctAgi - start) / (end - start)));
+    var flat = brackets[brackets.length - 1][1] * ctAgi;
+    return { tax: schedule.tax + (flat - schedule.tax) * phase, topRate: schedule.topRate };
+  }
 
-      // Taxes
-      federal: federal,
-      state: state,
+  /**
+   * Washington capital gains excise tax on long-term gains above the annual
+   * deduction; from 2025 gains over $1M above the deduction pay the higher rate.
+   * @param {number} longTermGains
+   * @param {Object} constants - Tax year constants
+   * @returns {Object} { tax, topRate }
+   */
+  function calcWaCapitalGainsTax(longTermGains, constants) {
+    var taxable = Math.max(0, longTermGains - constants.waCapitalGainsDeduction);
+    return calcBrackets(taxable, [
+      [constants.waCapitalGainsHighThreshold, constants.waCapitalGainsRate],
+      [Infinity, constants.waCapitalGainsHighRate],
+    ]);
+  }
+
+  /**
+   * Self-employment tax on net profit (Schedule SE). 92.35% of net profit is
+   * net earnings; Social Security covers what is left of the wage base after
+   * W-2 wages, and Medicare covers all of it. Additional Medicare is figured
+   * with wages in computeTaxes. Half of the tax is an above-the-line deduction.
+   * @param {number} netProfit - Business income less business expenses
+   * @param {number} ssWages - The owner's W-2 Social Security wages
+   * @param {Object} constants - Tax year constants
+   * @returns {Object} { earnings, socialSecurity, medicare, tax, deduction }
+   */
+  function calcSelfEmploymentTax(netProfit, ssWages, constants) {
+    var C = constants;
+    var earnings = Math.max(0, netProfit) * C.seEarningsRate;
+    if (earnings < C.seMinimumEarnings) earnings = 0;
+    var socialSecurity = Math.min(earnings, Math.max(0, C.ssWageBase - ssWages)) * C.ssRate * 2;
+    var medicare = earnings * C.medicareRate * 2;
+    var tax = socialSecurity + medicare;
+    return {
+      earnings: earnings,
+      socialSecurity: socialSecurity,
+      medicare: medicare,
+      tax: tax,
+      deduction: tax / 2,
+    };
+  }
+
+  /**
+   * Most a sole proprietor can contribute to a SE_RETIREMENT_PLANS plan. The
+   * employer contribution is 20% of net profit after the half-SE-tax
+   * deduction; a Solo 401(k) adds whatever 401(k) deferral room the W-2 job
+   * left. Both are capped at the annual additions limit.
+   * @param {string} plan - Key of SE_RETIREMENT_PLANS
+   * @param {number} netProfit - Business income less business expenses
+   * @param {number} seDeduction - Half of self-employment tax
+   * @param {number} w2Deferrals - 401(k) deferrals already made at a W-2 job
+   * @param {Object} constants - Tax year constants
+   * @returns {number}
+   */
+  function calcSeRetirementLimit(plan, netProfit, seDeduction, w2Deferrals, constants) {
+    var config = SE_RETIREMENT_PLANS[plan];
+    if (!config) throw new Error('Unsupported retirement plan: ' + plan);
+    var compensation = Math.max(0, netProfit - seDeduction);
+    var limit = compensation * constants.seEmployerContributionRate;
+    if (config.employeeDeferral) {
+      limit += Math.min(compensation - limit,
+        Math.max(0, constants.retirementLimit - w2Deferrals));
+    }
+    return Math.min(limit, constants.annualAdditionsLimit);
+  }
+
+  /**
+   * Qualified business income deduction (Section 199A): 20% of QBI, limited
+   * to 20% of taxable income less net capital gain. A sole proprietor with no
+   * employees — and any consulting business, a specified service trade — loses
+   * the deduction linearly over the phase-in range above the threshold.
+   * @param {number} qbi - Net profit less the half-SE-tax deduction and
+   *   self-employed retirement contributions
+   * @param {number} taxableIncome - Taxable income before the QBI deduction
+   * @param {number} netCapitalGain - Long-term gains and qualified dividends
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {number}
+   */
+  function calcQbiDeduction(qbi, taxableIncome, netCapitalGain, constants, filing) {
+    var C = constants;
+    if (qbi <= 0) return 0;
+    var over = taxableIncome - filingConstant(C, 'qbiThreshold', filing);
+    var phase = Math.min(1, Math.max(0, over / filingConstant(C, 'qbiPhaseIn', filing)));
+    var deduction = qbi * C.qbiRate * (1 - phase);
+    return Math.min(deduction, Math.max(0, taxableIncome - netCapitalGain) * C.qbiRate);
+  }
+
+  /**
+   * NYC Unincorporated Business Tax on a business carried on in the city.
+   * Net profit less the owner's-services allowance (20%, at most $10,000) and
+   * the exemption is taxed at 4%; small liabilities are forgiven by the
+   * business tax credit. Residents also get a credit against NYC personal
+   * income tax — all of the UBT at low city taxable income, sliding to 23%.
+   * @param {number} netProfit - Business income less business expenses
+   * @param {number} cityTaxableIncome - NYC personal taxable income
+   * @param {Object} constants - Tax year constants
+   * @returns {Object} { taxable, tax, credit }
+   */
+  function calcUbt(netProfit, cityTaxableIncome, constants) {
+    var C = constants;
+    var allowance = Math.min(C.ubtOwnerAllowanceMax, Math.max(0, netProfit) * C.ubtOwnerAllowanceRate);
+    var taxable = Math.max(0, netProfit - allowance - C.ubtExemption);
+    var tax = taxable * C.ubtRate;
+    if (tax <= C.ubtBusinessCreditFull) {
+      tax = 0;
+    } else if (tax < C.ubtBusinessCreditEnd) {
+      tax -= tax * (C.ubtBusinessCreditEnd - tax) / (C.ubtBusinessCreditEnd - C.ubtBusinessCreditFull);
+    }
+    var range = C.ubtCreditMinIncome - C.ubtCreditFullIncome;
+    var phase = Math.min(1, Math.max(0, (cityTaxableIncome - C.ubtCreditFullIncome) / range));
+    var creditRate = 1 - phase * (1 - C.ubtCreditMinRate);
+    return { taxable: taxable, tax: tax, credit: tax * creditRate };
+  }
+
+  /**
+   * Federal child tax credit and credit for other dependents (Schedule 8812).
+   * Children under 17 get the full credit and older dependents $500; the total
+   * drops $50 per $1,000 of MAGI over the threshold. The part that exceeds
+   * income tax is refundable up to the per-child limit and 15% of earned
+   * income over $2,500.
+   * @param {Array} dependents - [{ age }]
+   * @param {number} magi - Federal modified AGI
+   * @param {number} earnedIncome - Wages plus net self-employment earnings
+   * @param {number} incomeTax - Federal income tax the credit can offset
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {Object} { children, otherDependents, total, nonrefundable, refundable }
+   */
+  function calcChildTaxCredit(dependents, magi, earnedIncome, incomeTax, constants, filing) {
+    var C = constants;
+    var children = 0;
+    for (var i = 0; i < dependents.length; i++) {
+      if (dependents[i].age <= C.ctcMaxAge) children++;
+    }
+    var others = dependents.length - children;
+    var over = Math.max(0, magi - filingConstant(C, 'ctcPhaseOut', filing));
+    var reduction = Math.ceil(over / C.ctcPhaseOutStep) * C.ctcPhaseOutAmount;
+    var total = Math.max(0, children * C.ctcPerChild + others * C.ctcOtherDependent - reduction);
+    var nonrefundable = Math.min(total, Math.max(0, incomeTax));
+    var refundable = Math.min(total - nonrefundable, children * C.ctcRefundableMax,
+      Math.max(0, earnedIncome - C.ctcEarnedIncomeFloor) * C.ctcRefundableRate);
+    return {
+      children: children,
+      otherDependents: others,
+      total: total,
+      nonrefundable: nonrefundable,
+      refundable: refundable,
+    };
+  }
+
+  /**
+   * Federal child and dependent care credit (Form 2441), before the limit to
+   * income tax. Care expenses for children under 13, less Dependent Care FSA
+   * reimbursements, count up to $3,000 for one child or $6,000 for more, and
+   * never more than the lower earner's earned income. The rate falls a point
+   * per $2,000 of AGI over $15,000 to the middle rate; from 2026 it falls
+   * again above a second threshold to 20%. Married-separate filers can't claim it.
+   * @param {number} expenses - Care expenses paid
+   * @param {number} careChildren - Dependents under 13
+   * @param {number} agi - Federal AGI
+   * @param {number} earnedLimit - Earned income of the lower-earning spouse
+   *   (or the filer)
+   * @param {number} fsa - Dependent Care FSA contributions excluded from wages
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {Object} { expenses, rate, credit }
+   */
+  function calcDependentCareCredit(expenses, careChildren, agi, earnedLimit, fsa, constants, filing) {
+    var C = constants;
+    if (careChildren === 0 || filing === 'marriedSeparate') return { expenses: 0, rate: 0, credit: 0 };
+    var limit = careChildren > 1 ? C.dependentCareExpenseLimitMulti : C.dependentCareExpenseLimit;
+    var qualified = Math.max(0, Math.min(expenses - fsa, limit - fsa, earnedLimit));
+    var steps = Math.ceil(Math.max(0, agi - C.dependentCarePhaseOut) / C.dependentCarePhaseOutStep);
+    var rate = Math.max(C.dependentCareRateMid, C.dependentCareRateMax - steps * 0.01);
+    var secondOver = agi - filingConstant(C, 'dependentCareSecondPhaseOut', filing);
+    if (secondOver > 0) {
+      steps = Math.ceil(secondOver / filingConstant(C, 'dependentCareSecondStep', filing));
+      rate = Math.max(C.dependentCareRateMin, rate - steps * 0.01);
+    }
+    return { expenses: qualified, rate: rate, credit: qualified * rate };
+  }
+
+  /**
+   * NY Empire State child credit (IT-213), refundable. Children under 17
+   * qualify. The credit is 33% of the pre-2018 federal child credit ($1,000
+   * per child, phased out over the NY threshold), or the per-child minimums
+   * when those are larger. Through 2024 the minimums end at the threshold;
+   * the larger 2025 minimums instead phase down by esccMinimumPhaseOut per
+   * $1,000 over it.
+   * @param {Array} dependents - [{ age }]
+   * @param {number} agi - Federal AGI
+   * @param {Object} constants - Tax year constants
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {number}
+   */
+  function calcEmpireStateChildCredit(dependents, agi, constants, filing) {
+    var C = constants;
+    var children = 0;
+    var minimum = 0;
+    for (var i = 0; i < dependents.length; i++) {
+      var age = dependents[i].age;
+      if (age > C.ctcMaxAge) continue;
+      minimum += age < 4 ? C.esccYoungChild : C.esccChild;
+      children++;
+    }
+    var threshold = filingConstant(C, 'esccPhaseOut', filing);
+    var steps = Math.ceil(Math.max(0, agi - threshold) / C.ctcPhaseOutStep);
+    var credit = Math.max(0, children * C.esccBaseCredit - steps * C.ctcPhaseOutAmount) * C.esccRate;
+    if (steps > 0 && !C.esccMinimumPhaseOut) return credit;
+    return Math.max(credit, minimum - steps * C.esccMinimumPhaseOut);
+  }
+
+  /**
+   * NY and NYC child and dependent care credits, both refundable. NY pays a
+   * share of the federal credit by NY AGI (NY_CHILD_CARE_RATE). NYC residents
+   * with federal AGI up to $25,000 get 75% of the NY credit for care of
+   * children under 4, phasing out by $30,000.
+   * @param {number} federalCredit - calcDependentCareCredit credit
+   * @param {number} youngShare - Share of the care children who are under 4
+   * @param {number} nyAgi - NY AGI
+   * @param {number} agi - Federal AGI
+   * @param {Object} constants - Tax year constants
+   * @returns {Object} { state, city }
+   */
+  function calcNyChildCareCredit(federalCredit, youngShare, nyAgi, agi, constants) {
+    var C = constants;
+    var points = NY_CHILD_CARE_RATE;
+    var rate = nyAgi <= points[0][0] ? points[0][1] : points[points.length - 1][1];
+    for (var i = 1; i < points.length; i++) {
+      if (nyAgi > points[i - 1][0] && nyAgi <= points[i][0]) {
+        var t = (nyAgi - points[i - 1][0]) / (points[i][0] - points[i - 1][0]);
+        rate = points[i - 1][1] + t * (points[i][1] - points[i - 1][1]);
+      }
+    }
+    var state = federalCredit * rate;
+    var phase = Math.min(1, Math.max(0,
+      (C.nycChildCareEndAgi - agi) / (C.nycChildCareEndAgi - C.nycChildCareFullAgi)));
+    return { state: state, city: state * youngShare * C.nycChildCareRate * phase };
+  }
+
+  /**
+   * Look up a residence in JURISDICTIONS.
+   * @param {string} [residence] - Defaults to DEFAULT_RESIDENCE
+   * @returns {Object}
+   */
+  function getJurisdiction(residence) {
+    var jurisdiction = JURISDICTIONS[residence || DEFAULT_RESIDENCE];
+    if (!jurisdiction) throw new Error('Unsupported residence: ' + residence);
+    return jurisdiction;
+  }
+
+  /**
+   * The part of a tax year spent living at the selected residence. Residency
+   * starts on the move-in date and ends the day before the move-out date.
+   * @param {number} taxYear
+   * @param {string} [moveInDate] - 'YYYY-MM-DD'; defaults to January 1
+   * @param {string} [moveOutDate] - 'YYYY-MM-DD'; defaults to after December 31
+   * @returns {Object} { start, end, days, yearDays, fraction, partYear }
+   */
+  function getResidencyPeriod(taxYear, moveInDate, moveOutDate) {
+    var day = 86400000;
+    var yearStart = Date.UTC(taxYear, 0, 1);
+    var yearEnd = Date.UTC(taxYear, 11, 31);
+    var start = moveInDate ? Math.max(yearStart, Date.parse(moveInDate)) : yearStart;
+    var end = moveOutDate ? Math.min(yearEnd, Date.parse(moveOutDate) - day) : yearEnd;
+    if (isNaN(start) || isNaN(end)) throw new Error('Invalid move date');
+    if (end < start) throw new Error('No residence in ' + taxYear + ' between the move dates');
+
+    var yearDays = (yearEnd - yearStart) / day + 1;
+    var days = (end - start) / day + 1;
+    return {
+      start: new Date(start).toISOString().slice(0, 10),
+      end: new Date(end).toISOString().slice(0, 10),
+      days: days,
+      yearDays: yearDays,
+      fraction: days / yearDays,
+      partYear: days < yearDays,
+    };
+  }
+
+  /**
+   * Look up the bracket and limit tables for a tax year.
+   * @param {number|string} [taxYear] - Defaults to DEFAULT_TAX_YEAR
+   * @returns {Object} { federal, nyState, nyc, constants }
+   */
+  function getTaxYear(taxYear) {
+    var year = taxYear ? Number(taxYear) : DEFAULT_TAX_YEAR;
+    var table = TAX_YEARS[year];
+    if (!table) throw new Error('Unsupported tax year: ' + taxYear);
+    return table;
+  }
+
+  /**
+   * Read a per-filing-status constant, e.g. ('standardDeduction', 'married')
+   * -> constants.standardDeductionMarried.
+   * @param {Object} constants - A tax year's constants table
+   * @param {string} prefix - Constant name without the filing suffix
+   * @param {string} filing - Key of FILING_STATUSES
+   * @returns {number}
+   */
+  function filingConstant(constants, prefix, filing) {
+    var status = FILING_STATUSES[filing];
+    if (!status) throw new Error('Unsupported filing status: ' + filing);
+    return constants[prefix + status.suffix];
+  }
+
+  /**
+   * Sum the deductions that are excluded from one wage base.
+   * @param {Object} amounts - Map of PRETAX_TREATMENT key -> annual amount
+   * @param {string} base - 'federal', 'fica', 'ny' or 'nyc'
+   * @returns {number}
+   */
+  function sumExempt(amounts, base) {
+    var total = 0;
+    for (var key in amounts) {
+      if (PRETAX_TREATMENT[key] && PRETAX_TREATMENT[key][base]) total += amounts[key] || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Split inputs into W-2 earners. The top-level income fields belong to the
+   * primary earner; `inputs.spouse` adds a second earner on joint returns
+   * when the spouse has wages.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @returns {Array} [{ salary, bonus, rsuIncome, otherIncome, priorStateIncome,
+   *   retirement, gross }]
+   */
+  function getEarners(inputs) {
+    var earners = [inputs];
+    var spouse = inputs.spouse;
+    if ((inputs.filing || 'single') === 'married' && spouse &&
+        (spouse.salary || spouse.bonus || spouse.rsuIncome || spouse.otherIncome ||
+          spouse.priorStateIncome)) {
+      earners.push(spouse);
+    }
+    return earners.map(function (e) {
+      var earner = {
+        salary: e.salary || 0,
+        bonus: e.bonus || 0,
+        rsuIncome: e.rsuIncome || 0,
+        otherIncome: e.otherIncome || 0,
+        priorStateIncome: e.priorStateIncome || 0,
+        retirement: e.retirement || 0,
+      };
+      earner.gross = earner.salary + earner.bonus + earner.rsuIncome + earner.otherIncome +
+        earner.priorStateIncome;
+      return earner;
+    });
+  }
+
+  /**
+   * Household investment income by INVESTMENT_INCOME type.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @returns {Object} Map of type -> amount, plus `total` and `preferential`
+   */
+  function getInvestmentIncome(inputs) {
+    var result = { total: 0, preferential: 0 };
+    for (var key in INVESTMENT_INCOME) {
+      var amount = inputs[key] || 0;
+      result[key] = amount;
+      result.total += amount;
+      if (INVESTMENT_INCOME[key].preferential) result.preferential += amount;
+    }
+    return result;
+  }
+
+  /**
+   * Household gross income (wages, investment income and self-employment
+   * net profit) for a set of inputs.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @returns {number}
+   */
+  function computeGross(inputs) {
+    var wages = getEarners(inputs).reduce(function (sum, e) { return sum + e.gross; }, 0);
+    var netProfit = (inputs.selfEmploymentIncome || 0) - (inputs.businessExpenses || 0);
+    return wages + getInvestmentIncome(inputs).total + netProfit;
+  }
+
+  /**
+   * Compute all taxes from inputs. Pure function — no DOM access.
+   *
+   * @param {Object} inputs
+   * @param {number} inputs.salary
+   * @param {number} inputs.bonus
+   * @param {number} [inputs.rsuIncome] - RSU vests (W-2 wages)
+   * @param {number} inputs.otherIncome - Other W-2 wage income
+   * @param {number} inputs.retirement
+   * @param {number} inputs.insurance
+   * @param {number} inputs.hsa
+   * @param {number} inputs.otherDeductions
+   * @param {number} [inputs.commuter] - Pre-tax transit/parking benefit
+   * @param {string} inputs.filing - Key of FILING_STATUSES ('single', 'married',
+   *   'headOfHousehold' or 'marriedSeparate')
+   * @param {number} [inputs.taxYear] - One of TAX_YEARS (default 2024)
+   * @param {string} [inputs.residence] - Key of JURISDICTIONS (default 'nyc')
+   * @param {string} [inputs.moveInDate] - Part-year NY residents: first day
+   *   living at the residence ('YYYY-MM-DD')
+   * @param {string} [inputs.moveOutDate] - Part-year NY residents: day they
+   *   moved away ('YYYY-MM-DD')
+   * @param {Object} [inputs.spouse] - Second earner on a joint return:
+   *   { salary, bonus, rsuIncome, otherIncome, priorStateIncome, retirement }
+   * @param {number} [inputs.priorStateIncome] - Wages earned while living
+   *   and working outside NY (before the move-in or after the move-out date).
+   *   The other wage fields are NYC-job pay.
+   * @param {number} [inputs.shortTermGains]
+   * @param {number} [inputs.longTermGains]
+   * @param {number} [inputs.qualifiedDividends]
+   * @param {number} [inputs.interest]
+   * @param {number} [inputs.isoBargainElement] - Spread on ISOs exercised and
+   *   held past year-end (an AMT adjustment; no regular tax or FICA)
+   * @param {number} [inputs.amtCreditCarryforward] - Prior-year minimum tax
+   *   credit available this year
+   * @param {number} [inputs.mortgageInterest] - Itemized: home mortgage interest
+   * @param {number} [inputs.charitable] - Itemized: charitable gifts
+   * @param {number} [inputs.medicalExpenses] - Itemized: medical expenses
+   *   (deductible above 7.5% of AGI)
+   * @param {number} [inputs.saltPaid] - Itemized: property and other state
+   *   and local taxes besides the NY/NYC income tax computed here
+   * @param {number} [inputs.selfEmploymentIncome] - Primary earner's 1099
+   *   consulting receipts, a business carried on where they live
+   * @param {number} [inputs.businessExpenses] - Schedule C expenses
+   * @param {string} [inputs.seRetirementPlan] - Key of SE_RETIREMENT_PLANS
+   *   (default 'sep')
+   * @param {number} [inputs.seRetirement] - Self-employed retirement
+   *   contribution, capped at the plan limit
+   * @param {Array} [inputs.dependents] - Dependents on the return: [{ age }]
+   * @param {number} [inputs.dependentCareFsa] - Dependent Care FSA; pre-tax
+   *   up to the filing status's limit, taxable wages above it
+   * @param {number} [inputs.childcareExpenses] - Care expenses for dependents
+   *   under 13 (daycare, after-school, day camp), including FSA-paid ones
+   * @returns {Object} Full tax computation results
+   */
+  function computeTaxes(inputs) {
+    var insurance = inputs.insurance || 0;
+    var hsa = inputs.hsa || 0;
+    var otherDed = inputs.otherDeductions || 0;
+    var commuter = inputs.commuter || 0;
+    var dependentCare = inputs.dependentCareFsa || 0;
+    var dependents = inputs.dependents || [];
+    var filing = inputs.filing || 'single';
+    var taxYear = inputs.taxYear ? Number(inputs.taxYear) : DEFAULT_TAX_YEAR;
+    var year = getTaxYear(taxYear);
+    var C = year.constants;
+    var residence = inputs.residence || DEFAULT_RESIDENCE;
+    var jurisdiction = getJurisdiction(residence);
+
+    // Move dates only matter for NY residences; commuters are nonresidents
+    // of NY all year anyway
+    var residency = jurisdiction.state === 'ny' ?
+      getResidencyPeriod(taxYear, inputs.moveInDate, inputs.moveOutDate) :
+      getResidencyPeriod(taxYear);
+
+    var earners = getEarners(inputs);
+    var salary = 0;
+    var bonus = 0;
+    var rsuIncome = 0;
+    var otherIncome = 0;
+    var priorStateIncome = 0;
+    var retirement = 0;
+    for (var i = 0; i < earners.length; i++) {
+      salary += earners[i].salary;
+      bonus += earners[i].bonus;
+      rsuIncome += earners[i].rsuIncome;
+      otherIncome += earners[i].otherIncome;
+      priorStateIncome += earners[i].priorStateIncome;
+      retirement += earners[i].retirement;
+    }
+
+    var wages = salary + bonus + rsuIncome + otherIncome + priorStateIncome;
+    var investment = getInvestmentIncome(inputs);
+    var selfEmploymentIncome = inputs.selfEmploymentIncome || 0;
+    var businessExpenses = inputs.businessExpenses || 0;
+    var netProfit = selfEmploymentIncome - businessExpenses;
+    var gross = wages + investment.total + netProfit;
+    // Dependent care benefits over the limit stay in every wage base
+    var dependentCareExcluded = Math.min(dependentCare, filingConstant(C, 'dependentCareFsaLimit', filing));
+    var householdDeductions = {
+      insurance: insurance, hsa: hsa, otherDeductions: otherDed, commuter: commuter,
+      dependentCare: dependentCareExcluded,
+    };
+    var deductions = {
+      retirement: retirement, insurance: insurance, hsa: hsa,
+      otherDeductions: otherDed, commuter: commuter, dependentCare: dependentCareExcluded,
+    };
+    var totalPreTax = retirement + insurance + hsa + otherDed + commuter + dependentCare;
+
+    // Each tax has its own wage base depending on how every deduction is
+    // treated (PRETAX_TREATMENT). Household deductions come out of the
+    // primary earner's paycheck.
+    var federalWages = wages - sumExempt(deductions, 'federal');
+    var nyWages = wages - sumExempt(deductions, 'ny');
+    var nycWages = wages - sumExempt(deductions, 'nyc');
+    var ficaWages = 0;
+    for (var w = 0; w < earners.length; w++) {
+      var own = { retirement: earners[w].retirement };
+      earners[w].ficaWages = Math.max(0, earners[w].gross - sumExempt(own, 'fica') -
+        (w === 0 ? sumExempt(householdDeductions, 'fica') : 0));
+      ficaWages += earners[w].ficaWages;
+    }
+
+    // Self-employment income belongs to the primary earner, whose W-2 wages
+    // use up the Social Security wage base first. Half of SE tax and the
+    // self-employed retirement contribution come off AGI.
+    var seTax = calcSelfEmploymentTax(netProfit, earners[0].ficaWages, C);
+    var seRetirementPlan = inputs.seRetirementPlan || 'sep';
+    var seRetirementLimit = calcSeRetirementLimit(seRetirementPlan, netProfit, seTax.deduction,
+      earners[0].retirement, C);
+    var seRetirement = Math.min(inputs.seRetirement || 0, seRetirementLimit);
+    var seAdjustments = seTax.deduction + seRetirement;
+    var selfEmployment = {
+      income: selfEmploymentIncome,
+      expenses: businessExpenses,
+      netProfit: netProfit,
+      earnings: seTax.earnings,
+      socialSecurity: seTax.socialSecurity,
+      medicare: seTax.medicare,
+      tax: seTax.tax,
+      deduction: seTax.deduction,
+      retirementPlan: seRetirementPlan,
+      retirementLimit: seRetirementLimit,
+      retirement: seRetirement,
+    };
+    totalPreTax += seRetirement;
+
+    // Social Security caps per person; the Additional Medicare threshold
+    // applies to combined Medicare wages and net SE earnings.
+    var medicareThreshold = filingConstant(C, 'medicareThreshold', filing);
+    var medicareBase = ficaWages + seTax.earnings;
+    var additionalMedicare = Math.max(0, medicareBase - medicareThreshold) * C.medicareAdditionalRate;
+    var ssTax = 0;
+    var medicareTax = additionalMedicare;
+    for (var j = 0; j < earners.length; j++) {
+      var e = earners[j];
+      var medicareShare = e.ficaWages + (j === 0 ? seTax.earnings : 0);
+      e.ssTax = Math.min(e.ficaWages, C.ssWageBase) * C.ssRate;
+      e.medicareTax = e.ficaWages * C.medicareRate +
+        (medicareBase > 0 ? additionalMedicare * medicareShare / medicareBase : 0);
+      e.selfEmploymentTax = j === 0 ? seTax.tax : 0;
+      ssTax += e.ssTax;
+      medicareTax += e.ficaWages * C.medicareRate;
+    }
+
+    var federalAgi = federalWages + investment.total + netProfit - seAdjustments;
+    var nyAgi = nyWages + investment.total + netProfit - seAdjustments;
+    var mortgageInterest = inputs.mortgageInterest || 0;
+    var charitable = inputs.charitable || 0;
+    var saltPaid = inputs.saltPaid || 0;
+    var medical = Math.max(0, (inputs.medicalExpenses || 0) - federalAgi * C.medicalFloorRate);
+
+    // NY State + NYC taxable income (all investment income is ordinary). NY
+    // itemized deductions follow pre-2018 federal rules: no SALT cap, but
+    // income taxes are not deductible. NYC uses the NY deduction.
+    var nyStandardDed = filingConstant(C, 'nyStandardDeduction', filing);
+    var nyItemized = calcNyItemizedLimit(nyAgi, mortgageInterest + charitable + medical + saltPaid,
+      charitable, C, filing);
+    var nyDeduction = {
+      standard: nyStandardDed,
+      itemized: nyItemized,
+      method: nyItemized > nyStandardDed ? 'itemized' : 'standard',
+      amount: Math.max(nyStandardDed, nyItemized),
+    };
+    var stateTaxableIncome = Math.max(0, nyAgi - nyDeduction.amount);
+    var cityTaxableIncome = jurisdiction.local === 'nyc' ?
+      Math.max(0, nycWages + investment.total + netProfit - seAdjustments - nyDeduction.amount) : 0;
+
+    // Nonresidents and part-year residents owe the resident tax on all income
+    // times the share of income that is NY-source: NYC-job wages, plus
+    // investment and business income while living in NY (IT-203 income
+    // percentage). Local tax for part-year residents is prorated the same way.
+    var nySourceRatio = 1;
+    if (jurisdiction.state !== 'ny' && !jurisdiction.nyWork) {
+      nySourceRatio = 0;
+    } else if (jurisdiction.state !== 'ny' || residency.partYear) {
+      var nySourceIncome = nyWages - priorStateIncome + (jurisdiction.state === 'ny' ?
+        (investment.total + netProfit - seAdjustments) * residency.fraction : 0);
+      nySourceRatio = nyAgi > 0 ? Math.min(1, Math.max(0, nySourceIncome / nyAgi)) : 0;
+    }
+    var state = calcBrackets(stateTaxableIncome, year.nyState[filing]);
+    state.tax *= nySourceRatio;
+    var nyRecapture = calcNyRecapture(nyAgi, stateTaxableIncome, year.nyState[filing],
+      NY_RECAPTURE_TIER[filing], C) * nySourceRatio;
+    var nyTax = state.tax + nyRecapture;
+
+    var city = { tax: 0, topRate: 0 };
+    if (jurisdiction.local === 'nyc') {
+      city = calcBrackets(cityTaxableIncome, year.nyc[filing]);
+      city.tax *= nySourceRatio;
+    } else if (jurisdiction.local === 'yonkers') {
+      city = { tax: nyTax * C.yonkersSurchargeRate, topRate: C.yonkersSurchargeRate };
+    }
+
+    // NYC residents' consulting is a business carried on in the city, so it
+    // owes UBT for the time they lived there; the resident credit can't
+    // exceed the NYC personal tax.
+    var ubt = { taxable: 0, tax: 0, credit: 0 };
+    if (jurisdiction.local === 'nyc' && netProfit > 0) {
+      ubt = calcUbt(netProfit * residency.fraction, cityTaxableIncome, C);
+      ubt.credit = Math.min(ubt.credit, city.tax);
+    }
+
+    // Resident tax outside NY, less the credit for tax paid to NY on the
+    // income both states tax (the NY-source share of home-state tax, capped
+    // at the NY tax itself). CA SDI and WA Cares are state payroll taxes on
+    // each earner's wages.
+    var homeState = { tax: 0, topRate: 0, credit: 0, net: 0, payroll: 0 };
+    var home = null;
+    var homeSourceRatio = 0;
+    var payrollRate = statePayrollRate(C, residence);
+    if (jurisdiction.state === 'nj') {
+      var njWages = wages - priorStateIncome - sumExempt(deductions, 'nj');
+      // NJ has no deduction for half of SE tax
+      var njIncome = njWages + investment.total + netProfit;
+      home = calcBrackets(Math.max(0, njIncome - filingConstant(C, 'njExemption', filing)),
+        year.nj[filing]);
+      homeSourceRatio = njIncome > 0 ? njWages / njIncome : 0;
+    } else if (jurisdiction.state === 'ct') {
+      home = calcCtTax(Math.max(0, federalAgi), year, filing);
+      homeSourceRatio = federalAgi > 0 ? federalWages / federalAgi : 0;
+    } else if (jurisdiction.state === 'ca') {
+      var caIncome = wages - sumExempt(deductions, 'ca') + investment.total + netProfit - seAdjustments;
+      home = calcBrackets(Math.max(0, caIncome - filingConstant(C, 'caStandardDeduction', filing)),
+        year.ca[filing]);
+    } else if (jurisdiction.state === 'wa') {
+      home = calcWaCapitalGainsTax(investment.longTermGains, C);
+    } else if (jurisdiction.state === 'tx') {
+      home = { tax: 0, topRate: 0 };
+    }
+    for (var p = 0; p < earners.length; p++) {
+      earners[p].statePayroll = earners[p].ficaWages * payrollRate;
+      homeState.payroll += earners[p].statePayroll;
+    }
+    if (home) {
+      var credit = Math.min(nyTax, home.tax * Math.min(1, Math.max(0, homeSourceRatio)));
+      homeState.tax = home.tax;
+      homeState.topRate = home.topRate;
+      homeState.credit = credit;
+      homeState.net = home.tax - credit;
+    }
+
+    // Federal taxable income. The SALT deduction covers the state and local
+    // income tax above plus other state and local taxes, up to the year's cap.
+    // Long-term gains and qualified dividends fill the top of taxable income
+    // and are taxed at capital gains rates.
+    var standardDed = filingConstant(C, 'standardDeduction', filing);
+    var saltCap = calcSaltCap(C, filing, federalAgi);
+    var salt = Math.min(saltCap, nyTax + city.tax - ubt.credit + homeState.net + saltPaid);
+    var federalItemized = mortgageInterest + charitable + medical + salt;
+    var federalDeduction = {
+      standard: standardDed,
+      itemized: federalItemized,
+      method: federalItemized > standardDed ? 'itemized' : 'standard',
+      amount: Math.max(standardDed, federalItemized),
+      salt: salt,
+      saltCap: saltCap,
+    };
+    var taxableBeforeQbi = Math.max(0, federalAgi - federalDeduction.amount);
+    var qbi = {
+      income: netProfit - seAdjustments,
+      threshold: filingConstant(C, 'qbiThreshold', filing),
+      deduction: calcQbiDeduction(netProfit - seAdjustments, taxableBeforeQbi,
+        investment.preferential, C, filing),
+    };
+    var taxableIncome = taxableBeforeQbi - qbi.deduction;
+    var ordinaryTaxableIncome = Math.max(0, taxableIncome - investment.preferential);
+    var preferentialIncome = taxableIncome - ordinaryTaxableIncome;
+
+    var federal = calcBrackets(ordinaryTaxableIncome, year.federal[filing]);
+    var capitalGains = calcStacked(ordinaryTaxableIncome, preferentialIncome,
+      year.capitalGains[filing]);
+
+    // Alternative minimum tax (federal only — NY has none). Neither the
+    // standard deduction nor SALT is allowed against AMTI, and the ISO spread
+    // is added back. The QBI deduction is allowed.
+    // AMT caused by the ISO spread is a timing difference and comes back as
+    // a credit in later years when regular tax exceeds tentative minimum tax.
+    var isoBargainElement = inputs.isoBargainElement || 0;
+    var creditAvailable = inputs.amtCreditCarryforward || 0;
+    var regularFederal = federal.tax + capitalGains.tax;
+    var amtDeduction = federalDeduction.method === 'itemized' ? federalItemized - salt : 0;
+    var amtiBeforeIso = Math.max(0, federalAgi - amtDeduction - qbi.deduction);
+    var amti = amtiBeforeIso + isoBargainElement;
+    var tmt = calcTentativeMinimumTax(amti, investment.preferential, year, filing);
+    var amtOwed = Math.max(0, tmt.tax - regularFederal);
+    var amtWithoutIso = Math.max(0,
+      calcTentativeMinimumTax(amtiBeforeIso, investment.preferential, year, filing).tax - regularFederal);
+    var creditGenerated = amtOwed - amtWithoutIso;
+    var creditUsed = Math.min(creditAvailable, Math.max(0, regularFederal - tmt.tax));
+    var amt = {
+      isoBargainElement: isoBargainElement,
+      amti: amti,
+      exemption: tmt.exemption,
+      base: tmt.base,
+      tentativeMinimumTax: tmt.tax,
+      amt: amtOwed,
+      creditAvailable: creditAvailable,
+      creditUsed: creditUsed,
+      creditGenerated: creditGenerated,
+      creditCarryforward: creditAvailable - creditUsed + creditGenerated,
+    };
+
+    // Dependent credits. Nonrefundable federal credits can't exceed income
+    // tax after AMT; the care credit is earned-income limited to the
+    // lower-earning spouse on a joint return. NY credits go to NY residents
+    // for the time they lived there, the NYC credit to NYC residents.
+    var earnedIncome = [];
+    for (var d = 0; d < earners.length; d++) {
+      earnedIncome.push(earners[d].gross + (d === 0 ? Math.max(0, netProfit) - seTax.deduction : 0));
+    }
+    var totalEarned = earnedIncome.reduce(function (sum, x) { return sum + x; }, 0);
+    var earnedLimit = filing === 'married' ?
+      (earnedIncome.length > 1 ? Math.min.apply(null, earnedIncome) : 0) : totalEarned;
+    var careChildren = 0;
+    var youngChildren = 0;
+    for (var c = 0; c < dependents.length; c++) {
+      if (dependents[c].age <= C.dependentCareMaxAge) careChildren++;
+      if (dependents[c].age <= C.nycChildCareMaxAge) youngChildren++;
+    }
+    var federalIncomeTax = regularFederal + amtOwed - creditUsed;
+    var careCredit = calcDependentCareCredit(inputs.childcareExpenses || 0, careChildren, federalAgi,
+      earnedLimit, dependentCareExcluded, C, filing);
+    var careCreditUsed = Math.min(careCredit.credit, federalIncomeTax);
+    var childTaxCredit = calcChildTaxCredit(dependents, federalAgi, totalEarned,
+      federalIncomeTax - careCreditUsed, C, filing);
+    var nyCare = calcNyChildCareCredit(careCredit.credit,
+      careChildren > 0 ? youngChildren / careChildren : 0, nyAgi, federalAgi, C);
+    var nyResident = jurisdiction.state === 'ny';
+    var credits = {
+      childTaxCredit: childTaxCredit,
+      dependentCare: {
+        expenses: careCredit.expenses,
+        rate: careCredit.rate,
+        credit: careCreditUsed,
+      },
+      empireState: nyResident ?
+        calcEmpireStateChildCredit(dependents, federalAgi, C, filing) * residency.fraction : 0,
+      nyChildCare: nyResident ? nyCare.state * residency.fraction : 0,
+      nycChildCare: jurisdiction.local === 'nyc' ? nyCare.city * residency.fraction : 0,
+    };
+    credits.federal = careCreditUsed + childTaxCredit.nonrefundable + childTaxCredit.refundable;
+    credits.state = credits.empireState + credits.nyChildCare;
+    credits.local = credits.nycChildCare;
+
+    // Net Investment Income Tax on the lesser of NII and MAGI over threshold
+    var niitThreshold = filingConstant(C, 'niitThreshold', filing);
+    var niit = Math.min(investment.total, Math.max(0, federalAgi - niitThreshold)) * C.niitRate;
+
+    var incomeTax = regularFederal + amtOwed - creditUsed + niit +
+      nyTax + city.tax + ubt.tax - ubt.credit + homeState.net -
+      credits.federal - credits.state - credits.local;
+    var totalTax = incomeTax + ssTax + medicareTax + seTax.tax + homeState.payroll;
+    var totalDeductions = totalTax + totalPreTax;
+    var takeHome = gross - totalDeductions;
+    var effectiveRate = gross > 0 ? totalTax / gross : 0;
+
+    // Which taxes fall in each part of the year. Federal tax and FICA follow
+    // income; state and local tax all belong to the residence period.
+    var periods = [];
+    var day = 86400000;
+    var residentStart = Date.parse(residency.start);
+    var residentEnd = Date.parse(residency.end);
+    var nonresidentDays = residency.yearDays - residency.days;
+    function addPeriod(label, start, end, resident) {
+      var days = (end - start) / day + 1;
+      var income = (investment.total + netProfit) * days / residency.yearDays + (resident ?
+        wages - priorStateIncome : (nonresidentDays > 0 ? priorStateIncome * days / nonresidentDays : 0));
+      var incomeShare = gross > 0 ? income / gross : 0;
+      periods.push({
+        label: label,
+        start: new Date(start).toISOString().slice(0, 10),
+        end: new Date(end).toISOString().slice(0, 10),
+        resident: resident,
+        income: income,
+        federal: (regularFederal + amtOwed - creditUsed + niit - credits.federal) * incomeShare,
+        fica: (ssTax + medicareTax + seTax.tax) * incomeShare,
+        state: resident ? nyTax + homeState.net + homeState.payroll - credits.state : 0,
+        local: resident ? city.tax + ubt.tax - ubt.credit - credits.local : 0,
+      });
+    }
+    if (residentStart > Date.UTC(taxYear, 0, 1)) {
+      addPeriod('Before move-in', Date.UTC(taxYear, 0, 1), residentStart - day, false);
+    }
+    addPeriod(jurisdiction.label, residentStart, residentEnd, true);
+    if (residentEnd < Date.UTC(taxYear, 11, 31)) {
+      addPeriod('After move-out', residentEnd + day, Date.UTC(taxYear, 11, 31), false);
+    }
+
+    // How each tax line was computed: the income and deduction steps down to
+    // its base, then the brackets it ran through. Zero steps are kept so the
+    // shape is the same for every household.
+    var incomeSteps = [
+      { label: 'Investment income', amount: investment.total },
+      { label: 'Self-employment net profit', amount: netProfit },
+      { label: 'Half SE tax + SE retirement', amount: -seAdjustments },
+    ];
+    var trace = {
+      federal: {
+        steps: [
+          { label: 'Wages', amount: wages },
+          { label: 'Pre-tax deductions', amount: -sumExempt(deductions, 'federal') },
+        ].concat(incomeSteps, [
+          { label: 'Federal AGI', amount: federalAgi, total: true },
+          { label: federalDeduction.method === 'itemized' ? 'Itemized deduction' : 'Standard deduction',
+            amount: -federalDeduction.amount },
+          { label: 'QBI deduction', amount: -qbi.deduction },
+          { label: 'Taxable income', amount: taxableIncome, total: true },
+          { label: 'Taxed at capital gains rates', amount: -preferentialIncome },
+          { label: 'Ordinary taxable income', amount: ordinaryTaxableIncome, total: true },
+        ]),
+        brackets: federal.brackets,
+        ratio: 1,
+        tax: federal.tax,
+      },
+      capitalGains: {
+        steps: [
+          { label: 'Ordinary taxable income (fills brackets first)', amount: ordinaryTaxableIncome },
+          { label: 'Long-term gains + qualified dividends', amount: preferentialIncome, total: true },
+        ],
+        brackets: capitalGains.brackets,
+        ratio: 1,
+        tax: capitalGains.tax,
+      },
+      state: {
+        steps: [
+          { label: 'Wages', amount: wages },
+          { label: 'Pre-tax deductions', amount: -sumExempt(deductions, 'ny') },
+        ].concat(incomeSteps, [
+          { label: 'NY AGI', amount: nyAgi, total: true },
+          { label: nyDeduction.method === 'itemized' ? 'NY itemized deduction' : 'NY standard deduction',
+            amount: -nyDeduction.amount },
+          { label: 'NY taxable income', amount: stateTaxableIncome, total: true },
+        ]),
+        brackets: state.brackets,
+        ratio: nySourceRatio,
+        tax: state.tax,
+      },
+      city: null,
+      socialSecurity: {
+        steps: [],
+        brackets: [],
+        ratio: 1,
+        tax: ssTax,
+      },
+      medicare: {
+        steps: [
+          { label: 'Medicare wages', amount: ficaWages },
+          { label: 'Net SE earnings', amount: seTax.earnings },
+          { label: 'Additional Medicare base', amount: medicareBase, total: true },
+        ],
+        brackets: [
+          { floor: 0, ceiling: Infinity, rate: C.medicareRate, taxable: ficaWages,
+            tax: ficaWages * C.medicareRate },
+          { floor: medicareThreshold, ceiling: Infinity, rate: C.medicareAdditionalRate,
+            taxable: Math.max(0, medicareBase - medicareThreshold), tax: additionalMedicare },
+        ],
+        ratio: 1,
+        tax: medicareTax,
+      },
+    };
+    if (jurisdiction.local === 'nyc') {
+      trace.city = {
+        steps: [
+          { label: 'Wages', amount: wages },
+          { label: 'Pre-tax deductions', amount: -sumExempt(deductions, 'nyc') },
+        ].concat(incomeSteps, [
+          { label: 'NY deduction', amount: -nyDeduction.amount },
+          { label: 'NYC taxable income', amount: cityTaxableIncome, total: true },
+        ]),
+        brackets: city.brackets,
+        ratio: nySourceRatio,
+        tax: city.tax,
+      };
+    } else if (jurisdiction.local === 'yonkers') {
+      trace.city = {
+        steps: [{ label: 'NY State tax', amount: nyTax, total: true }],
+        brackets: [{ floor: 0, ceiling: Infinity, rate: C.yonkersSurchargeRate, taxable: nyTax,
+          tax: city.tax }],
+        ratio: 1,
+        tax: city.tax,
+      };
+    }
+    // Social Security caps per person, so each earner gets a step and a row
+    for (var q = 0; q < earners.length; q++) {
+      var earnerLabel = q === 0 ? 'Your' : 'Spouse\'s';
+      trace.socialSecurity.steps.push(
+        { label: earnerLabel + ' wages', amount: earners[q].gross },
+        { label: earnerLabel + ' FICA-exempt deductions', amount: earners[q].ficaWages - earners[q].gross },
+        { label: earnerLabel + ' FICA wages', amount: earners[q].ficaWages, total: true });
+      trace.socialSecurity.brackets.push({
+        label: q === 0 ? 'You' : 'Spouse', floor: 0, ceiling: C.ssWageBase, rate: C.ssRate,
+        taxable: Math.min(earners[q].ficaWages, C.ssWageBase), tax: earners[q].ssTax,
+      });
+    }
+
+    // Per-earner take-home: household-level deductions (insurance, HSA, other),
+    // investment income and the business belong to the primary earner, and
+    // income tax is shared in proportion to each earner's income after
+    // pre-tax deductions.
+    var householdPreTax = insurance + hsa + otherDed + commuter + dependentCare + seRetirement;
+    var netIncome = gross - totalPreTax;
+    for (var k = 0; k < earners.length; k++) {
+      var earner = earners[k];
+      earner.preTax = earner.retirement + (k === 0 ? householdPreTax : 0);
+      earner.investmentIncome = k === 0 ? investment.total : 0;
+      earner.netProfit = k === 0 ? netProfit : 0;
+      var earnerNet = earner.gross + earner.investmentIncome + earner.netProfit - earner.preTax;
+      var share = netIncome > 0 ? earnerNet / netIncome : (k === 0 ? 1 : 0);
+      earner.incomeTax = incomeTax * share;
+      earner.takeHome = earnerNet - earner.incomeTax - earner.ssTax - earner.medicareTax -
+        earner.selfEmploymentTax - earner.statePayroll;
+    }
+
+    return {
+      taxYear: taxYear,
+      filing: filing,
+      residence: residence,
+
+      // Income
+      salary: salary,
+      bonus: bonus,
+      rsuIncome: rsuIncome,
+      otherIncome: otherIncome,
+      priorStateIncome: priorStateIncome,
+      wages: wages,
+      investment: investment,
+      selfEmployment: selfEmployment,
+      gross: gross,
+      earners: earners,
+      dependents: dependents,
+
+      // Pre-tax
+      retirement: retirement,
+      insurance: insurance,
+      hsa: hsa,
+      otherDed: otherDed,
+      commuter: commuter,
+      dependentCareFsa: dependentCare,
+      dependentCareExcluded: dependentCareExcluded,
+      totalPreTax: totalPreTax,
+      federalWages: federalWages,
+      ficaWages: ficaWages,
+      nyWages: nyWages,
+      nycWages: nycWages,
+      federalAgi: federalAgi,
+      federalDeduction: federalDeduction,
+      qbi: qbi,
+      taxableIncome: taxableIncome,
+      ordinaryTaxableIncome: ordinaryTaxableIncome,
+      preferentialIncome: preferentialIncome,
+      nyAgi: nyAgi,
+      nyDeduction: nyDeduction,
+      nySourceRatio: nySourceRatio,
+      residency: residency,
+      periods: periods,
+      stateTaxableIncome: stateTaxableIncome,
+      cityTaxableIncome: cityTaxableIncome,
+
+      // Taxes
+      federal: federal,
+      capitalGains: capitalGains,
+      niit: niit,
+      amt: amt,
+      credits: credits,
+      state: state,
+      nyRecapture: nyRecapture,
       city: city,
+      ubt: ubt,
+      homeState: homeState,
       ssTax: ssTax,
       medicareTax: medicareTax,
       medicareThreshold: medicareThreshold,
       totalTax: totalTax,
+      trace: trace,
 
       // Summary
       totalDeductions: totalDeductions,
@@ -390,12 +2691,647 @@ const TaxEngine = (function () {
   }
 
   /**
-   * Compute annual spending from a spending map.
+   * After-tax value of each investment income type. Each type's tax is what
+   * the household would save without that income (federal, NIIT, NY, NYC).
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @returns {Object} Map of INVESTMENT_INCOME key -> { amount, tax, afterTax }
+   */
+  function computeInvestmentTakeHome(inputs) {
+    var base = computeTaxes(inputs);
+    var result = {};
+    for (var key in INVESTMENT_INCOME) {
+      var amount = inputs[key] || 0;
+      var tax = 0;
+      if (amount > 0) {
+        var without = Object.assign({}, inputs);
+        without[key] = 0;
+        tax = base.totalTax - computeTaxes(without).totalTax;
+      }
+      result[key] = { amount: amount, tax: tax, afterTax: amount - tax };
+    }
+    return result;
+  }
+
+  /**
+   * Tax each wage stream adds when stacked on top of the household's other
+   * income (investment income, self-employment, prior-state wages) in
+   * INCOME_STACK order, for both earners. The base and the streams add up to
+   * totalTax.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @returns {Object} { base, streams, totalTax } where base is
+   *   { federal, state, city, fica, total } and streams maps each INCOME_STACK
+   *   key to the same plus { label, amount, preTax, takeHome, marginalRate }
+   */
+  function computeIncomeAttribution(inputs) {
+    var spouse = inputs.spouse || {};
+    var layer = Object.assign({}, inputs, { spouse: Object.assign({}, spouse) });
+    var payrollDeductions = ['insurance', 'hsa', 'otherDeductions', 'commuter', 'dependentCareFsa'];
+
+    function include(key, on) {
+      layer[key] = on ? inputs[key] || 0 : 0;
+      layer.spouse[key] = on ? spouse[key] || 0 : 0;
+    }
+    function components(t) {
+      var fica = t.ssTax + t.medicareTax + t.selfEmployment.tax;
+      var state = t.state.tax + t.nyRecapture + t.homeState.net + t.homeState.payroll - t.credits.state;
+      var city = t.city.tax + t.ubt.tax - t.ubt.credit - t.credits.local;
+      return {
+        federal: t.totalTax - fica - state - city,
+        state: state,
+        city: city,
+        fica: fica,
+        total: t.totalTax,
+        totalPreTax: t.totalPreTax,
+      };
+    }
+
+    var key;
+    for (key in INCOME_STACK) include(key, false);
+    include('retirement', false);
+    for (var i = 0; i < payrollDeductions.length; i++) layer[payrollDeductions[i]] = 0;
+    var below = components(computeTaxes(layer));
+    var base = below;
+
+    var streams = {};
+    for (key in INCOME_STACK) {
+      include(key, true);
+      if (INCOME_STACK[key].preTax) {
+        include('retirement', true);
+        for (var j = 0; j < payrollDeductions.length; j++) include(payrollDeductions[j], true);
+      }
+      var above = components(computeTaxes(layer));
+      var amount = (inputs[key] || 0) + (spouse[key] || 0);
+      var stream = {
+        label: INCOME_STACK[key].label,
+        amount: amount,
+        preTax: above.totalPreTax - below.totalPreTax,
+        federal: above.federal - below.federal,
+        state: above.state - below.state,
+        city: above.city - below.city,
+        fica: above.fica - below.fica,
+        total: above.total - below.total,
+      };
+      stream.takeHome = amount - stream.preTax - stream.total;
+      stream.marginalRate = amount > 0 ? stream.total / amount : 0;
+      streams[key] = stream;
+      below = above;
+    }
+
+    return {
+      base: {
+        federal: base.federal, state: base.state, city: base.city, fica: base.fica, total: base.total,
+      },
+      streams: streams,
+      totalTax: below.total,
+    };
+  }
+
+  /**
+   * Sweep one income component over a range and report the marginal rate,
+   * effective rate and take-home at each step. 'wages' scales the primary
+   * earner's salary, bonus, RSU and other wages together (all salary if
+   * there are none); any INCOME_STACK key moves just that stream. Boundaries
+   * are where the sweep crosses into a new federal, NY, local or home-state
+   * bracket, the Social Security wage base or the Additional Medicare
+   * threshold, located to the dollar by bisection.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} [options]
+   * @param {string} [options.component='wages'] - 'wages' or an INCOME_STACK key
+   * @param {number} [options.from=0] - First amount of the component
+   * @param {number} [options.to] - Last amount (default twice the current
+   *   amount, at least $200K)
+   * @param {number} [options.steps=40] - Intervals between from and to
+   * @param {number} [options.increment=1000] - Raise the marginal rate is
+   *   measured over
+   * @param {Array} [options.nextIncrements=[10000, 100000]] - Raises to price
+   *   on top of the current scenario
+   * @returns {Object} { component, points, boundaries, current } where each
+   *   point is { amount, gross, totalTax, takeHome, effectiveRate,
+   *   marginalRate }, boundaries are { label, amount, rate } and current is
+   *   the point for the inputs as given plus `next` [{ increment, takeHome,
+   *   rate }]
+   */
+  function computeRateCurve(inputs, options) {
+    options = options || {};
+    var component = options.component || 'wages';
+    if (component !== 'wages' && !(component in INCOME_STACK)) {
+      throw new Error('Unsupported income component: ' + component);
+    }
+    var wageKeys = Object.keys(INCOME_STACK);
+    var currentWages = 0;
+    for (var k = 0; k < wageKeys.length; k++) currentWages += inputs[wageKeys[k]] || 0;
+    var currentAmount = component === 'wages' ? currentWages : inputs[component] || 0;
+    var from = options.from || 0;
+    var to = options.to !== undefined ? options.to : Math.max(200000, currentAmount * 2);
+    var steps = options.steps || 40;
+    var increment = options.increment || 1000;
+    var nextIncrements = options.nextIncrements || [10000, 100000];
+
+    function inputsAt(amount) {
+      var changed = {};
+      if (component !== 'wages') {
+        changed[component] = amount;
+      } else if (currentWages > 0) {
+        for (var i = 0; i < wageKeys.length; i++) {
+          changed[wageKeys[i]] = (inputs[wageKeys[i]] || 0) * amount / currentWages;
+        }
+      } else {
+        changed.salary = amount;
+      }
+      return Object.assign({}, inputs, changed);
+    }
+    function taxesAt(amount) {
+      return computeTaxes(inputsAt(amount));
+    }
+    function pointAt(amount) {
+      var t = taxesAt(amount);
+      return {
+        amount: amount,
+        gross: t.gross,
+        totalTax: t.totalTax,
+        takeHome: t.takeHome,
+        effectiveRate: t.effectiveRate,
+        marginalRate: (taxesAt(amount + increment).totalTax - t.totalTax) / increment,
+      };
+    }
+    // Rate in force for each kind of boundary at an amount
+    function markers(amount) {
+      var t = taxesAt(amount);
+      var jurisdiction = getJurisdiction(t.residence);
+      var C = getTaxYear(t.taxYear).constants;
+      var result = {
+        Federal: t.federal.topRate,
+        'Capital gains': t.capitalGains.topRate,
+        'SS wage base': t.earners[0].ficaWages >= C.ssWageBase ? 0 : C.ssRate,
+        'Additional Medicare': t.trace.medicare.brackets[1].taxable > 0 ? C.medicareAdditionalRate : 0,
+      };
+      if (jurisdiction.nyWork) result.NY = t.state.topRate;
+      if (jurisdiction.local) result[jurisdiction.localLabel] = t.city.topRate;
+      if (jurisdiction.state !== 'ny') result[jurisdiction.label] = t.homeState.topRate;
+      return result;
+    }
+
+    var points = [];
+    var boundaries = [];
+    var prev = null;
+    for (var s = 0; s <= steps; s++) {
+      var amount = from + (to - from) * s / steps;
+      points.push(pointAt(amount));
+      var marks = markers(amount);
+      if (prev) {
+        for (var label in marks) {
+          // A step can cross several brackets: after each one, search on
+          // from it to the end of the step
+          var start = prev.amount;
+          var rate = prev.marks[label];
+          while (rate !== marks[label]) {
+            var lo = start;
+            var hi = amount;
+            while (hi - lo > 1) {
+              var mid = (lo + hi) / 2;
+              if (markers(mid)[label] === rate) lo = mid;
+              else hi = mid;
+            }
+            rate = markers(hi)[label];
+            boundaries.push({ label: label, amount: Math.round(hi), rate: rate });
+            start = hi;
+          }
+        }
+      }
+      prev = { amount: amount, marks: marks };
+    }
+    boundaries.sort(function (a, b) { return a.amount - b.amount; });
+
+    var current = pointAt(currentAmount);
+    current.next = nextIncrements.map(function (raise) {
+      var takeHome = taxesAt(currentAmount + raise).takeHome - current.takeHome;
+      return { increment: raise, takeHome: takeHome, rate: 1 - takeHome / raise };
+    });
+
+    return { component: component, points: points, boundaries: boundaries, current: current };
+  }
+
+  /**
+   * Payroll deductions taken from one earner's paychecks. Household-level
+   * deductions come out of the primary earner's pay.
+   * @param {Object} taxes - computeTaxes result
+   * @param {number} index - Earner index
+   * @returns {Object} Map of PRETAX_TREATMENT key -> annual amount
+   */
+  function earnerDeductions(taxes, index) {
+    var deductions = { retirement: taxes.earners[index].retirement };
+    if (index === 0) {
+      deductions.insurance = taxes.insurance;
+      deductions.hsa = taxes.hsa;
+      deductions.otherDeductions = taxes.otherDed;
+      deductions.commuter = taxes.commuter;
+      deductions.dependentCare = taxes.dependentCareExcluded;
+    }
+    return deductions;
+  }
+
+  /**
+   * Annual withholding on regular wages, approximating the percentage method:
+   * bracket tax on wages after pre-tax deductions and the standard deduction.
+   * A NYC employer withholds NY tax for residents and commuters alike, and
+   * local tax only for NYC and Yonkers residents; elsewhere only California
+   * has an income tax to withhold.
+   * @param {number} regularWages - Annual non-supplemental wages
+   * @param {Object} deductions - From earnerDeductions
+   * @param {Object} year - getTaxYear table
+   * @param {string} filing
+   * @param {string} [residence] - Key of JURISDICTIONS
+   * @returns {Object} { federal, state, city }
+   */
+  function calcRegularWithholding(regularWages, deductions, year, filing, residence) {
+    var C = year.constants;
+    var jurisdiction = getJurisdiction(residence);
+    var local = jurisdiction.local;
+    var nyStandardDed = filingConstant(C, 'nyStandardDeduction', filing);
+    var state = 0;
+    if (jurisdiction.nyWork) {
+      state = calcBrackets(Math.max(0, regularWages - sumExempt(deductions, 'ny') -
+        nyStandardDed), year.nyState[filing]).tax;
+    } else if (jurisdiction.state === 'ca') {
+      state = calcBrackets(Math.max(0, regularWages - sumExempt(deductions, 'ca') -
+        filingConstant(C, 'caStandardDeduction', filing)), year.ca[filing]).tax;
+    }
+    var city = 0;
+    if (local === 'nyc') {
+      city = calcBrackets(Math.max(0, regularWages - sumExempt(deductions, 'nyc') -
+        nyStandardDed), year.nyc[filing]).tax;
+    } else if (local === 'yonkers') {
+      city = state * C.yonkersSurchargeRate;
+    }
+    return {
+      federal: calcBrackets(Math.max(0, regularWages - sumExempt(deductions, 'federal') -
+        filingConstant(C, 'standardDeduction', filing)), year.federal[filing]).tax,
+      state: state,
+      city: city,
+    };
+  }
+
+  /**
+   * State flat withholding rate on supplemental wages for a residence.
+   * @param {Object} constants - Tax year constants
+   * @param {string} [residence] - Key of JURISDICTIONS
+   * @returns {number}
+   */
+  function stateSupplementalRate(constants, residence) {
+    var jurisdiction = getJurisdiction(residence);
+    if (jurisdiction.nyWork) return constants.nySupplementalRate;
+    if (jurisdiction.state === 'ca') return constants.caSupplementalRate;
+    return 0;
+  }
+
+  /**
+   * State payroll tax rate on FICA wages (CA SDI, WA Cares) for a residence.
+   * @param {Object} constants - Tax year constants
+   * @param {string} [residence] - Key of JURISDICTIONS
+   * @returns {number}
+   */
+  function statePayrollRate(constants, residence) {
+    var state = getJurisdiction(residence).state;
+    if (state === 'ca') return constants.caSdiRate;
+    if (state === 'wa') return constants.waCaresRate;
+    return 0;
+  }
+
+  /**
+   * Local flat withholding rate on supplemental wages for a residence.
+   * @param {Object} constants - Tax year constants
+   * @param {string} [residence] - Key of JURISDICTIONS
+   * @returns {number}
+   */
+  function localSupplementalRate(constants, residence) {
+    var local = getJurisdiction(residence).local;
+    if (local === 'nyc') return constants.nycSupplementalRate;
+    if (local === 'yonkers') return constants.nySupplementalRate * constants.yonkersSurchargeRate;
+    return 0;
+  }
+
+  /**
+   * Federal flat-rate withholding on a supplemental payment: 22%, or 37% on
+   * the part of year-to-date supplemental wages over $1M.
+   * @param {number} amount - This payment
+   * @param {number} priorSupplemental - Supplemental wages already paid this year
+   * @param {Object} constants - Tax year constants
+   * @returns {number}
+   */
+  function calcSupplementalWithholding(amount, priorSupplemental, constants) {
+    var roomAtBaseRate = Math.max(0, constants.supplementalHighThreshold - priorSupplemental);
+    var atBaseRate = Math.min(amount, roomAtBaseRate);
+    return atBaseRate * constants.supplementalRate +
+      (amount - atBaseRate) * constants.supplementalRateHigh;
+  }
+
+  /**
+   * Estimate payroll withholding and compare it with the computed liability.
+   *
+   * Each employer withholds as if its paycheck were the household's only
+   * income: regular wages (salary, other wages) through the bracket tables
+   * after pre-tax deductions and the standard deduction, supplemental wages
+   * (bonus, RSU vests) at the flat supplemental rates, and Additional
+   * Medicare once that earner's own wages pass $200K. Investment income has
+   * no withholding, and neither does a commuter's NJ or CT tax, which shows
+   * up in the state balance. State payroll taxes (CA SDI, WA Cares) are
+   * withheld exactly and counted under state. Self-employment tax is owed
+   * with the federal return and UBT with the city's.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {number} [payPeriods=26] - Paychecks per year for the W-4 suggestion
+   * @returns {Object} { earners, withheld, liability, balance, extraPerPaycheck }
+   *   `balance` is positive when tax is owed in April, negative for a refund
+   */
+  function computeWithholding(inputs, payPeriods) {
+    payPeriods = payPeriods || 26;
+    var taxes = computeTaxes(inputs);
+    var year = getTaxYear(taxes.taxYear);
+    var C = year.constants;
+    var filing = taxes.filing;
+
+    var withheld = { federal: 0, state: 0, city: 0, ss: 0, medicare: 0 };
+    var earners = taxes.earners.map(function (e, i) {
+      var deductions = earnerDeductions(taxes, i);
+      var regularWages = e.salary + e.otherIncome;
+      var supplementalWages = e.bonus + e.rsuIncome;
+      var regular = calcRegularWithholding(regularWages, deductions, year, filing, taxes.residence);
+      // The previous employer withheld federal tax on out-of-state wages
+      var priorFederal = e.priorStateIncome > 0 ? calcRegularWithholding(regularWages +
+        e.priorStateIncome, deductions, year, filing, taxes.residence).federal - regular.federal : 0;
+      var fedSupplemental = calcSupplementalWithholding(supplementalWages, 0, C);
+
+      var result = {
+        regularWages: regularWages,
+        supplementalWages: supplementalWages,
+        federalRegular: regular.federal + priorFederal,
+        federalSupplemental: fedSupplemental,
+        federal: regular.federal + priorFederal + fedSupplemental,
+        state: regular.state + supplementalWages * stateSupplementalRate(C, taxes.residence) +
+          e.statePayroll,
+        city: regular.city + supplementalWages * localSupplementalRate(C, taxes.residence),
+        ss: e.ssTax,
+        medicare: e.ficaWages * C.medicareRate +
+          Math.max(0, e.ficaWages - C.medicareWithholdingThreshold) * C.medicareAdditionalRate,
+      };
+      for (var key in withheld) withheld[key] += result[key];
+      return result;
+    });
+    withheld.total = withheld.federal + withheld.state + withheld.city + withheld.ss + withheld.medicare;
+
+    var liability = {
+      federal: taxes.federal.tax + taxes.capitalGains.tax + taxes.niit +
+        taxes.amt.amt - taxes.amt.creditUsed + taxes.selfEmployment.tax - taxes.credits.federal,
+      state: taxes.state.tax + taxes.nyRecapture + taxes.homeState.net + taxes.homeState.payroll -
+        taxes.credits.state,
+      city: taxes.city.tax + taxes.ubt.tax - taxes.ubt.credit - taxes.credits.local,
+      ss: taxes.ssTax,
+      medicare: taxes.medicareTax,
+    };
+    liability.total = liability.federal + liability.state + liability.city + liability.ss + liability.medicare;
+
+    var balance = {};
+    for (var k in liability) balance[k] = liability[k] - withheld[k];
+
+    // Additional Medicare is settled on the 1040, so it rides on the federal W-4
+    return {
+      taxes: taxes,
+      payPeriods: payPeriods,
+      earners: earners,
+      withheld: withheld,
+      liability: liability,
+      balance: balance,
+      extraPerPaycheck: {
+        federal: Math.max(0, balance.federal + balance.medicare) / payPeriods,
+        state: Math.max(0, balance.state) / payPeriods,
+        city: Math.max(0, balance.city) / payPeriods,
+      },
+    };
+  }
+
+  /**
+   * Estimated tax payments needed on top of withholding (1040-ES, IT-2105).
+   *
+   * The required annual payment is the smaller safe harbor: 90% of this
+   * year's tax, or 100% of last year's (110% when last year's AGI was over
+   * $150K). Nothing is required when the balance after withholding is under
+   * $1,000 federal or $300 NY. Withholding counts as paid evenly through the
+   * year, so the rest is due in four equal installments. Skipping them costs
+   * interest on each installment from its due date to the April 15 filing
+   * date, at the year's underpayment rate.
+   *
+   * Federal covers income tax, SE tax and any Additional Medicare the
+   * employers didn't withhold, against income-tax withholding only: FICA is
+   * always withheld in full, so counting it would let 10% of it stand in for
+   * income-tax underwithholding. NY covers NY State tax plus
+   * NYC/Yonkers tax and UBT, and is null when no NY tax is owed at the
+   * residence. Other states' estimated tax is not planned here.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} [options]
+   * @param {number} [options.priorYearFederalTax] - Last year's total federal tax
+   * @param {number} [options.priorYearNyTax] - Last year's NY State + local tax
+   * @param {number} [options.priorYearAgi] - Last year's AGI (default this year's)
+   * @returns {Object} { taxes, dueDates, filingDate, federal, ny } where each
+   *   plan is { liability, withheld, balance, currentYearSafeHarbor,
+   *   priorYearSafeHarbor, requiredAnnualPayment, installments, total,
+   *   penaltyIfSkipped }
+   */
+  function computeEstimatedPayments(inputs, options) {
+    options = options || {};
+    var w = computeWithholding(inputs);
+    var taxes = w.taxes;
+    var C = getTaxYear(taxes.taxYear).constants;
+    var day = 24 * 60 * 60 * 1000;
+
+    function dueDate(entry) {
+      var t = Date.UTC(taxes.taxYear + entry[0], entry[1], entry[2]);
+      while (new Date(t).getUTCDay() === 0 || new Date(t).getUTCDay() === 6) t += day;
+      return t;
+    }
+    var dueDates = ESTIMATED_TAX_DUE_DATES.map(dueDate);
+    var filingDate = dueDate(FILING_DUE_DATE);
+    var priorAgi = options.priorYearAgi !== undefined ? options.priorYearAgi : taxes.federalAgi;
+    var priorRate = priorAgi > filingConstant(C, 'safeHarborHighAgi', taxes.filing) ?
+      C.safeHarborPriorHighRate : C.safeHarborPriorRate;
+
+    function plan(liability, withheld, priorYearTax, minimum, penaltyRate) {
+      var currentYear = liability * C.safeHarborCurrentRate;
+      var priorYear = priorYearTax !== undefined ? priorYearTax * priorRate : null;
+      var required = priorYear === null ? currentYear : Math.min(currentYear, priorYear);
+      var balance = liability - withheld;
+      var total = balance >= minimum ? Math.max(0, required - withheld) : 0;
+      var penalty = 0;
+      var installments = dueDates.map(function (due) {
+        penalty += total / 4 * penaltyRate * (filingDate - due) / day / 365;
+        return { due: new Date(due).toISOString().slice(0, 10), amount: total / 4 };
+      });
+      return {
+        liability: liability,
+        withheld: withheld,
+        balance: balance,
+        currentYearSafeHarbor: currentYear,
+        priorYearSafeHarbor: priorYear,
+        requiredAnnualPayment: required,
+        installments: installments,
+        total: total,
+        penaltyIfSkipped: penalty,
+      };
+    }
+
+    var federal = plan(w.liability.federal + Math.max(0, w.balance.medicare), w.withheld.federal,
+      options.priorYearFederalTax, C.estimatedTaxMinimum, C.estimatedTaxPenaltyRate);
+    var ny = null;
+    if (getJurisdiction(taxes.residence).nyWork) {
+      var nyLiability = taxes.state.tax + taxes.nyRecapture + taxes.city.tax + taxes.ubt.tax -
+        taxes.ubt.credit - taxes.credits.state - taxes.credits.local;
+      ny = plan(nyLiability, w.withheld.state + w.withheld.city, options.priorYearNyTax,
+        C.nyEstimatedTaxMinimum, C.nyEstimatedTaxPenaltyRate);
+    }
+
+    return {
+      taxes: taxes,
+      dueDates: dueDates.map(function (t) { return new Date(t).toISOString().slice(0, 10); }),
+      filingDate: new Date(filingDate).toISOString().slice(0, 10),
+      federal: federal,
+      ny: ny,
+    };
+  }
+
+  /**
+   * Pay dates for a year as 'YYYY-MM-DD' strings. Weekly and biweekly
+   * schedules start on the first Friday of January; semimonthly pays on the
+   * 15th and last day of each month, monthly on the last day.
+   * @param {number} taxYear
+   * @param {string} frequency - Key of PAY_FREQUENCIES
+   * @returns {Array} Sorted ISO dates
+   */
+  function getPayDates(taxYear, frequency) {
+    var config = PAY_FREQUENCIES[frequency];
+    if (!config) throw new Error('Unsupported pay frequency: ' + frequency);
+    var dates = [];
+    var day = 24 * 60 * 60 * 1000;
+    if (frequency === 'weekly' || frequency === 'biweekly') {
+      var first = Date.UTC(taxYear, 0, 1);
+      while (new Date(first).getUTCDay() !== 5) first += day;
+      var step = frequency === 'weekly' ? 7 : 14;
+      for (var i = 0; i < config.periods; i++) dates.push(first + i * step * day);
+    } else {
+      for (var m = 0; m < 12; m++) {
+        if (frequency === 'semimonthly') dates.push(Date.UTC(taxYear, m, 15));
+        dates.push(Date.UTC(taxYear, m + 1, 0));
+      }
+    }
+    return dates.map(function (t) { return new Date(t).toISOString().slice(0, 10); });
+  }
+
+  /**
+   * Simulate every paycheck of the year for one earner.
+   *
+   * Regular wages and pre-tax deductions are spread evenly across checks.
+   * Bonus and RSU income is split evenly across its dates and paid with the
+   * first check on or after each date. Social Security stops once the wage
+   * base is reached, and Additional Medicare is withheld past $200K.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} [options]
+   * @param {string} [options.frequency='biweekly'] - Key of PAY_FREQUENCIES
+   * @param {number} [options.earner=0] - Earner index (1 = spouse)
+   * @param {Array} [options.bonusDates] - ISO dates, default March 15
+   * @param {Array} [options.rsuDates] - ISO dates, default quarterly on the 15th
+   * @returns {Object} { frequency, checks, totals }
+   */
+  function computePayCalendar(inputs, options) {
+    options = options || {};
+    var frequency = options.frequency || 'biweekly';
+    var taxes = computeTaxes(inputs);
+    var year = getTaxYear(taxes.taxYear);
+    var C = year.constants;
+    var index = Math.min(options.earner || 0, taxes.earners.length - 1);
+    var earner = taxes.earners[index];
+    var deductions = earnerDeductions(taxes, index);
+
+    var dates = getPayDates(taxes.taxYear, frequency);
+    var periods = dates.length;
+    var prefix = taxes.taxYear + '-';
+    var bonusDates = options.bonusDates || [prefix + '03-15'];
+    var rsuDates = options.rsuDates ||
+      [prefix + '02-15', prefix + '05-15', prefix + '08-15', prefix + '11-15'];
+
+    // Attach each supplemental payment to the first check on or after its date
+    var supplemental = dates.map(function () { return { bonus: 0, rsu: 0 }; });
+    function place(eventDates, total, key) {
+      if (!total || !eventDates.length) return;
+      for (var i = 0; i < eventDates.length; i++) {
+        var slot = periods - 1;
+        for (var j = 0; j < periods; j++) {
+          if (dates[j] >= eventDates[i]) { slot = j; break; }
+        }
+        supplemental[slot][key] += total / eventDates.length;
+      }
+    }
+    place(bonusDates, earner.bonus, 'bonus');
+    place(rsuDates, earner.rsuIncome, 'rsu');
+
+    var regularWages = earner.salary + earner.otherIncome;
+    var regular = calcRegularWithholding(regularWages, deductions, year, taxes.filing, taxes.residence);
+    var stateRate = stateSupplementalRate(C, taxes.residence);
+    var payrollRate = statePayrollRate(C, taxes.residence);
+    var citySupplementalRate = localSupplementalRate(C, taxes.residence);
+    var preTax = sumExempt(deductions, 'federal') / periods;
+    var ficaExempt = sumExempt(deductions, 'fica') / periods;
+
+    var ytdFica = 0;
+    var ytdSupplemental = 0;
+    var cumulativeNet = 0;
+    var totals = { gross: 0, preTax: 0, federal: 0, state: 0, city: 0, ss: 0, medicare: 0, net: 0 };
+    var checks = dates.map(function (date, i) {
+      var sup = supplemental[i].bonus + supplemental[i].rsu;
+      var gross = regularWages / periods + sup;
+      var ficaWages = Math.max(0, gross - ficaExempt);
+
+      var ssWages = Math.max(0, Math.min(ficaWages, C.ssWageBase - ytdFica));
+      var overThreshold = Math.max(0, ytdFica + ficaWages - C.medicareWithholdingThreshold) -
+        Math.max(0, ytdFica - C.medicareWithholdingThreshold);
+      ytdFica += ficaWages;
+
+      var check = {
+        date: date,
+        regular: regularWages / periods,
+        bonus: supplemental[i].bonus,
+        rsu: supplemental[i].rsu,
+        gross: gross,
+        preTax: preTax,
+        federal: regular.federal / periods + calcSupplementalWithholding(sup, ytdSupplemental, C),
+        state: regular.state / periods + sup * stateRate + ficaWages * payrollRate,
+        city: regular.city / periods + sup * citySupplementalRate,
+        ss: ssWages * C.ssRate,
+        medicare: ficaWages * C.medicareRate + overThreshold * C.medicareAdditionalRate,
+      };
+      ytdSupplemental += sup;
+      check.net = gross - preTax - check.federal - check.state - check.city - check.ss - check.medicare;
+      cumulativeNet += check.net;
+      check.cumulativeNet = cumulativeNet;
+      for (var key in totals) totals[key] += check[key];
+      return check;
+    });
+
+    return { frequency: frequency, earner: index, checks: checks, totals: totals };
+  }
+
+  /**
+   * Compute annual spending from a spending map. The per-period sums
+   * (monthly, weekly, daily) are rates; the annual figures cover `fraction`
+   * of the year, so annual + monthlyAnnual + weeklyAnnual + dailyAnnual
+   * is totalAnnual.
    *
    * @param {Object} spending - Map of freq -> { key: amount }
+   * @param {number} [fraction=1] - Share of the year the spending applies to
    * @returns {Object} Breakdown and total
    */
-  function computeSpending(spending) {
+  function computeSpending(spending, fraction) {
+    if (fraction === undefined) fraction = 1;
     var annualRaw = 0;
     var monthlyRaw = 0;
     var weeklyRaw = 0;
@@ -414,14 +3350,14 @@ const TaxEngine = (function () {
       dailyRaw += spending.daily[key] || 0;
     }
 
-    var annualTotal = annualRaw;
-    var monthlyAnnual = monthlyRaw * 12;
-    var weeklyAnnual = weeklyRaw * 52;
-    var dailyAnnual = dailyRaw * 365;
+    var annualTotal = annualRaw * fraction;
+    var monthlyAnnual = monthlyRaw * 12 * fraction;
+    var weeklyAnnual = weeklyRaw * 52 * fraction;
+    var dailyAnnual = dailyRaw * 365 * fraction;
     var totalAnnual = annualTotal + monthlyAnnual + weeklyAnnual + dailyAnnual;
 
     return {
-      annual: annualRaw,
+      annual: annualTotal,
       monthly: monthlyRaw,
       weekly: weeklyRaw,
       daily: dailyRaw,
@@ -433,7 +3369,32 @@ const TaxEngine = (function () {
   }
 
   /**
-   * Compute full budget: taxes + spending + savings.
+   * Annual cost of raising the household's dependents from CHILD_COSTS.
+   * Dependents older than the last band cost nothing here.
+   * @param {Array} dependents - [{ age }]
+   * @param {number} [scale=1] - Multiplier on the cost model
+   * @returns {Object} { care, other, total } — `care` is the dependent care
+   *   expense the tax credits cover
+   */
+  function computeChildCosts(dependents, scale) {
+    if (scale === undefined) scale = 1;
+    var result = { care: 0, other: 0, total: 0 };
+    for (var i = 0; i < dependents.length; i++) {
+      for (var j = 0; j < CHILD_COSTS.length; j++) {
+        if (dependents[i].age <= CHILD_COSTS[j].maxAge) {
+          result.care += CHILD_COSTS[j].care * scale;
+          result.other += CHILD_COSTS[j].other * scale;
+          break;
+        }
+      }
+    }
+    result.total = result.care + result.other;
+    return result;
+  }
+
+  /**
+   * Compute full budget: taxes + spending + savings. Part-year residents only
+   * spend at the NYC rate for the months they live there.
    *
    * @param {Object} inputs - Same as computeTaxes inputs
    * @param {Object} spending - Spending map (freq -> { key: amount })
@@ -441,7 +3402,7 @@ const TaxEngine = (function () {
    */
   function computeBudget(inputs, spending) {
     var taxes = computeTaxes(inputs);
-    var spend = computeSpending(spending);
+    var spend = computeSpending(spending, taxes.residency.fraction);
 
     var remainder = taxes.takeHome - spend.totalAnnual;
     var savingsRate = taxes.takeHome > 0 ? remainder / taxes.takeHome : 0;
@@ -454,49 +3415,417 @@ const TaxEngine = (function () {
     };
   }
 
+  /**
+   * computeBudget with spending set by the category sliders, each category
+   * priced with computeSliderAmount at the household's gross income and
+   * take-home pay.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} sliders - Map of SLIDER_CONFIG key -> slider value (0-100);
+   *   missing categories sit mid-range
+   * @param {Object} [fixed] - Map of SLIDER_CONFIG key -> annual amount that
+   *   replaces the slider; other keys are spending outside the categories
+   * @returns {Object} computeBudget result
+   */
+  function computeSliderBudget(inputs, sliders, fixed) {
+    var gross = computeGross(inputs);
+    var takeHome = computeTaxes(inputs).takeHome;
+    var annual = {};
+    for (var name in SLIDER_CONFIG) {
+      if (fixed && name in fixed) {
+        annual[name] = fixed[name];
+      } else {
+        var value = sliders[name] !== undefined ? sliders[name] : 50;
+        annual[name] = computeSliderAmount(name, value, gross, inputs.dependents, takeHome).annualAmount;
+      }
+    }
+    for (var extra in fixed) {
+      if (!SLIDER_CONFIG[extra]) annual[extra] = fixed[extra];
+    }
+    return computeBudget(inputs, { annual: annual });
+  }
+
+  /**
+   * Primary-earner salary at which take-home pay reaches a target, holding
+   * every other input fixed. Take-home rises with salary, so bisect.
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {number} targetTakeHome
+   * @returns {number} Salary, or 0 if take-home already exceeds the target
+   */
+  function findSalaryForTakeHome(inputs, targetTakeHome) {
+    function takeHomeAt(salary) {
+      return computeTaxes(Object.assign({}, inputs, { salary: salary })).takeHome;
+    }
+    if (takeHomeAt(0) >= targetTakeHome) return 0;
+    var lo = 0;
+    var hi = Math.max(100000, (inputs.salary || 0) * 2);
+    while (takeHomeAt(hi) < targetTakeHome) hi *= 2;
+    for (var i = 0; i < 50; i++) {
+      var mid = (lo + hi) / 2;
+      if (takeHomeAt(mid) < targetTakeHome) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  }
+
+  /**
+   * Goal-seek one budget input so the remainder or savings rate hits a
+   * target, holding everything else fixed. Spending categories move their
+   * slider within the SLIDER_CONFIG range, and 'rent' is the housing slider
+   * read back as a monthly amount. Savings fall as a slider rises, so those
+   * bisect directly. Salary and bonus hold every category at its dollars
+   * for the inputs as given (a share of gross would grow with the answer);
+   * tax cliffs can still cut either way, so they scan for the first amount
+   * that reaches the target and bisect from there.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} sliders - Map of SLIDER_CONFIG key -> slider value (0-100)
+   * @param {Object} goal
+   * @param {string} goal.solveFor - 'salary', 'bonus', 'rent' or a
+   *   SLIDER_CONFIG key
+   * @param {string} goal.target - 'savingsRate' or 'remainder'
+   * @param {number} goal.value - Target savings rate (decimal) or annual
+   *   remainder
+   * @param {number} [goal.rent] - Monthly housing cost to hold fixed in place
+   *   of the housing slider (ignored when solving for housing or rent)
+   * @param {number} [goal.otherSpending] - Annual spending outside the slider
+   *   categories
+   * @param {Object} [goal.fixed] - Map of SLIDER_CONFIG key -> annual amount
+   *   held in place of the slider, e.g. for locked categories (ignored for
+   *   the category being solved)
+   * @returns {Object} { solveFor, feasible, value, sliderValue, budget } where
+   *   value is dollars for salary and bonus, monthly dollars for rent, and for
+   *   a category the share of its mode's base, or the dollars per displayFreq
+   *   period in 'fixed' mode (the cost-model multiplier for per-child ones);
+   *   sliderValue is null for income. When the target can't be reached in
+   *   range, feasible is false and value is the closest setting.
+   */
+  function solveBudget(inputs, sliders, goal) {
+    if (goal.target !== 'savingsRate' && goal.target !== 'remainder') {
+      throw new Error('Unsupported goal target: ' + goal.target);
+    }
+    var solveFor = goal.solveFor;
+    var income = solveFor === 'salary' || solveFor === 'bonus';
+    var category = solveFor === 'rent' ? 'housing' : solveFor;
+    if (!income && !SLIDER_CONFIG[category]) {
+      throw new Error('Unsupported solve variable: ' + solveFor);
+    }
+    var fixed = Object.assign({}, goal.fixed);
+    if (!income) delete fixed[category];
+    if (goal.rent !== undefined && category !== 'housing') fixed.housing = goal.rent * 12;
+    if (goal.otherSpending) fixed.other = goal.otherSpending;
+    if (income) {
+      var gross = computeGross(inputs);
+      var takeHome = computeTaxes(inputs).takeHome;
+      for (var name in SLIDER_CONFIG) {
+        if (name in fixed) continue;
+        var position = sliders[name] !== undefined ? sliders[name] : 50;
+        fixed[name] = computeSliderAmount(name, position, gross, inputs.dependents, takeHome).annualAmount;
+      }
+    }
+
+    function budgetAt(x) {
+      if (income) {
+        var changed = {};
+        changed[solveFor] = x;
+        return computeSliderBudget(Object.assign({}, inputs, changed), sliders, fixed);
+      }
+      var moved = Object.assign({}, sliders);
+      moved[category] = x;
+      return computeSliderBudget(inputs, moved, fixed);
+    }
+    function reaches(x) {
+      return budgetAt(x)[goal.target] >= goal.value;
+    }
+
+    var lo;
+    var hi;
+    var x = null;
+    var feasible = true;
+    if (income) {
+      var top = Math.max(1000000, (inputs[solveFor] || 0) * 4);
+      var samples = 40;
+      var best = 0;
+      var bestMetric = -Infinity;
+      for (var i = 0; i <= samples && x === null; i++) {
+        var amount = top * i / samples;
+        var metric = budgetAt(amount)[goal.target];
+        if (metric >= goal.value) {
+          if (i === 0) {
+            x = 0;
+          } else {
+            lo = top * (i - 1) / samples;
+            hi = amount;
+          }
+          break;
+        }
+        if (metric > bestMetric) {
+          bestMetric = metric;
+          best = amount;
+        }
+      }
+      if (hi === undefined && x === null) {
+        feasible = false;
+        x = best;
+      }
+    } else if (!reaches(0)) {
+      feasible = false;
+      x = 0;
+    } else if (reaches(100)) {
+      x = 100;
+    } else {
+      // Savings fall as spending rises: keep lo reaching the target
+      lo = 0;
+      hi = 100;
+    }
+    if (x === null) {
+      for (var k = 0; k < 50; k++) {
+        var mid = (lo + hi) / 2;
+        if (reaches(mid) === income) hi = mid;
+        else lo = mid;
+      }
+      x = income ? hi : lo;
+    }
+
+    var budget = budgetAt(x);
+    var value = x;
+    if (!income) {
+      var config = SLIDER_CONFIG[category];
+      if (solveFor === 'rent') {
+        value = computeSliderAmount(category, x, budget.taxes.gross, inputs.dependents,
+          budget.taxes.takeHome).annualAmount / 12;
+      } else if (config.perChild) {
+        value = sliderToScale(category, x);
+      } else {
+        value = config.mode === 'fixed' ? sliderToAmount(category, x) :
+          sliderToPercentage(category, x, budget.taxes.gross);
+      }
+    }
+    return {
+      solveFor: solveFor,
+      feasible: feasible,
+      value: value,
+      sliderValue: income ? null : x,
+      budget: budget,
+    };
+  }
+
+  /**
+   * Compare the same pay and lifestyle across CITY_PROFILES. Each city's
+   * lifestyle cost is the NYC spending per category times its cost-of-living
+   * multiplier; the equivalent NYC salary is what the primary earner would
+   * need in NYC to save the same amount with the same lifestyle. Compares
+   * full years, ignoring move dates.
+   *
+   * @param {Object} inputs - Same as computeTaxes inputs
+   * @param {Object} categorySpending - Map of SLIDER_CONFIG key -> annual NYC amount
+   * @returns {Object} Map of CITY_PROFILES key -> { label, residence, totalTax,
+   *   takeHome, spending, savings, equivalentNycSalary }
+   */
+  function computeCityComparison(inputs, categorySpending) {
+    var base = Object.assign({}, inputs, { moveInDate: null, moveOutDate: null });
+    var nycInputs = Object.assign({}, base, { residence: 'nyc' });
+    var nycSpending = 0;
+    for (var cat in categorySpending) nycSpending += categorySpending[cat] || 0;
+
+    var result = {};
+    for (var key in CITY_PROFILES) {
+      var profile = CITY_PROFILES[key];
+      var taxes = computeTaxes(Object.assign({}, base, { residence: profile.residence }));
+      var spending = 0;
+      for (var name in categorySpending) {
+        var multiplier = name in profile.costOfLiving ? profile.costOfLiving[name] : 1;
+        spending += (categorySpending[name] || 0) * multiplier;
+      }
+      var savings = taxes.takeHome - spending;
+      result[key] = {
+        label: profile.label,
+        residence: profile.residence,
+        totalTax: taxes.totalTax,
+        takeHome: taxes.takeHome,
+        spending: spending,
+        savings: savings,
+        equivalentNycSalary: findSalaryForTakeHome(nycInputs, savings + nycSpending),
+      };
+    }
+    return result;
+  }
+
   // ── Slider Helpers ────────────────────────────────────────
 
+  // [sliderValue, pct] knots of a piecewise curve, ends included
+  function curveKnots(config) {
+    return [[0, config.minPct]].concat(config.points || [], [[100, config.maxPct]]);
+  }
+
+  // Multiplier an 'income' curve applies to its band at this gross income
+  function incomeBandFactor(config, grossIncome) {
+    if (config.curve !== 'income' || !(grossIncome > config.refIncome)) return 1;
+    return Math.pow(config.refIncome / grossIncome, config.elasticity);
+  }
+
   /**
-   * Convert a 0-100 slider value to percentage within a category's range.
+   * Convert a 0-100 slider value to percentage within a category's range,
+   * following its SLIDER_CURVES curve.
    * @param {string} sliderName - Category name
    * @param {number} sliderValue - 0 to 100
+   * @param {number} [grossIncome] - Annual gross income, for 'income' curves
    * @returns {number} Percentage as decimal (e.g., 0.25 for 25%)
    */
-  function sliderToPercentage(sliderName, sliderValue) {
+  function sliderToPercentage(sliderName, sliderValue, grossIncome) {
     var config = SLIDER_CONFIG[sliderName];
-    if (!config) return 0;
-    // Linear interpolation between min and max
+    if (!config || config.perChild) return 0;
     var t = sliderValue / 100;
-    return config.minPct + t * (config.maxPct - config.minPct);
+    var pct;
+    if (config.curve === 'log') {
+      pct = config.minPct * Math.pow(config.maxPct / config.minPct, t);
+    } else if (config.curve === 'piecewise') {
+      var knots = curveKnots(config);
+      var i = 0;
+      while (i < knots.length - 2 && sliderValue > knots[i + 1][0]) i++;
+      var a = knots[i];
+      var b = knots[i + 1];
+      pct = a[1] + (sliderValue - a[0]) / (b[0] - a[0]) * (b[1] - a[1]);
+    } else {
+      // Linear interpolation between min and max
+      pct = config.minPct + t * (config.maxPct - config.minPct);
+    }
+    return pct * incomeBandFactor(config, grossIncome);
   }
 
   /**
-   * Convert a percentage back to slider value (0-100).
+   * Convert a percentage back to slider value (0-100); the inverse of
+   * sliderToPercentage for every curve.
    * @param {string} sliderName - Category name
    * @param {number} pct - Percentage as decimal
+   * @param {number} [grossIncome] - Annual gross income, for 'income' curves
    * @returns {number} Slider value 0-100
    */
-  function percentageToSlider(sliderName, pct) {
+  function percentageToSlider(sliderName, pct, grossIncome) {
+    var config = SLIDER_CONFIG[sliderName];
+    if (!config || config.perChild) return 50;
+    pct /= incomeBandFactor(config, grossIncome);
+    var value;
+    if (config.curve === 'log') {
+      value = pct > 0 ? Math.log(pct / config.minPct) / Math.log(config.maxPct / config.minPct) * 100 : 0;
+    } else if (config.curve === 'piecewise') {
+      var knots = curveKnots(config);
+      var i = 0;
+      while (i < knots.length - 2 && pct > knots[i + 1][1]) i++;
+      var a = knots[i];
+      var b = knots[i + 1];
+      value = a[0] + (pct - a[1]) / (b[1] - a[1]) * (b[0] - a[0]);
+    } else {
+      value = (pct - config.minPct) / (config.maxPct - config.minPct) * 100;
+    }
+    return Math.max(0, Math.min(100, value));
+  }
+
+  /**
+   * Convert a 0-100 slider value to a fixed-mode dollar amount within a
+   * category's range.
+   * @param {string} sliderName - Category name
+   * @param {number} sliderValue - 0 to 100
+   * @returns {number} Dollars per displayFreq period
+   */
+  function sliderToAmount(sliderName, sliderValue) {
     var config = SLIDER_CONFIG[sliderName];
-    if (!config) return 50;
-    var t = (pct - config.minPct) / (config.maxPct - config.minPct);
+    if (!config || config.maxAmount === undefined) return 0;
+    return config.minAmount + sliderValue / 100 * (config.maxAmount - config.minAmount);
+  }
+
+  /**
+   * Convert a fixed-mode dollar amount back to slider value (0-100).
+   * @param {string} sliderName - Category name
+   * @param {number} amount - Dollars per displayFreq period
+   * @returns {number} Slider value 0-100
+   */
+  function amountToSlider(sliderName, amount) {
+    var config = SLIDER_CONFIG[sliderName];
+    if (!config || config.maxAmount === undefined) return 50;
+    var t = (amount - config.minAmount) / (config.maxAmount - config.minAmount);
     return Math.max(0, Math.min(100, t * 100));
   }
 
   /**
-   * Compute spending amount from slider position and gross income.
+   * Slider value that prices a category at an annual amount under its mode;
+   * the inverse of computeSliderAmount. Per-child categories stay mid-range.
+   * @param {string} sliderName - Category name
+   * @param {number} annualAmount
+   * @param {number} grossIncome - Annual gross income
+   * @param {number} [takeHome] - Annual take-home, for 'takeHome' mode
+   * @returns {number} Slider value 0-100
+   */
+  function annualToSlider(sliderName, annualAmount, grossIncome, takeHome) {
+    var config = SLIDER_CONFIG[sliderName];
+    if (!config || config.perChild) return 50;
+    if (config.mode === 'fixed') {
+      return amountToSlider(sliderName, annualAmount / (FREQ_DIVISORS[config.displayFreq] || 1));
+    }
+    var base = config.mode === 'takeHome' ? takeHome : grossIncome;
+    return base > 0 ? percentageToSlider(sliderName, annualAmount / base, grossIncome) : 50;
+  }
+
+  /**
+   * Slider span of a category's typical NYC spending at this income, for a
+   * range marker on the slider.
+   * @param {string} sliderName - Category name
+   * @param {number} grossIncome - Annual gross income
+   * @param {number} [takeHome] - Annual take-home, for 'takeHome' mode
+   * @returns {Object|null} { from, to } slider values, or null when the
+   *   category has no typical range
+   */
+  function typicalSliderRange(sliderName, grossIncome, takeHome) {
+    var config = SLIDER_CONFIG[sliderName];
+    if (!config || !config.typical || config.perChild) return null;
+    var divisor = FREQ_DIVISORS[config.displayFreq] || 1;
+    return {
+      from: annualToSlider(sliderName, config.typical[0] * divisor, grossIncome, takeHome),
+      to: annualToSlider(sliderName, config.typical[1] * divisor, grossIncome, takeHome),
+    };
+  }
+
+  /**
+   * Convert a 0-100 slider value to the cost-model multiplier of a per-child
+   * category.
+   * @param {string} sliderName - Category name
+   * @param {number} sliderValue - 0 to 100
+   * @returns {number} Multiplier on CHILD_COSTS
+   */
+  function sliderToScale(sliderName, sliderValue) {
+    var config = SLIDER_CONFIG[sliderName];
+    if (!config || !config.perChild) return 1;
+    return config.minScale + sliderValue / 100 * (config.maxScale - config.minScale);
+  }
+
+  /**
+   * Compute spending amount from slider position under the category's mode:
+   * a share of gross income or of take-home pay, or a fixed dollar amount.
+   * Per-child categories scale the CHILD_COSTS model instead of income.
    * @param {string} sliderName - Category name
    * @param {number} sliderValue - 0 to 100
    * @param {number} grossIncome - Annual gross income
-   * @returns {Object} { percentage, annualAmount, displayAmount, displayFreq }
+   * @param {Array} [dependents] - [{ age }] for per-child categories
+   * @param {number} [takeHome] - Annual take-home, for 'takeHome' mode
+   * @returns {Object} { percentage (of gross), annualAmount, displayAmount, displayFreq }
    */
-  function computeSliderAmount(sliderName, sliderValue, grossIncome) {
+  function computeSliderAmount(sliderName, sliderValue, grossIncome, dependents, takeHome) {
     var config = SLIDER_CONFIG[sliderName];
     if (!config) return { percentage: 0, annualAmount: 0, displayAmount: 0, displayFreq: 'annual' };
 
-    var pct = sliderToPercentage(sliderName, sliderValue);
-    var annualAmount = grossIncome * pct;
     var divisor = FREQ_DIVISORS[config.displayFreq] || 1;
+    var pct;
+    var annualAmount;
+    if (config.perChild) {
+      annualAmount = computeChildCosts(dependents || [], sliderToScale(sliderName, sliderValue)).total;
+    } else if (config.mode === 'fixed') {
+      annualAmount = sliderToAmount(sliderName, sliderValue) * divisor;
+    } else if (config.mode === 'takeHome') {
+      annualAmount = Math.max(0, takeHome || 0) * sliderToPercentage(sliderName, sliderValue, grossIncome);
+    } else {
+      pct = sliderToPercentage(sliderName, sliderValue, grossIncome);
+      annualAmount = grossIncome * pct;
+    }
+    if (pct === undefined) pct = grossIncome > 0 ? annualAmount / grossIncome : 0;
     var displayAmount = annualAmount / divisor;
 
     return {
@@ -522,6 +3851,212 @@ const TaxEngine = (function () {
     return null;
   }
 
+  /**
+   * Line items in a spending map that no SLIDER_MAPPING category covers.
+   * @param {Object} spending - Spending map (freq -> { key: amount })
+   * @returns {Array} [{ freq, key }]
+   */
+  function getUnmappedItems(spending) {
+    var items = [];
+    for (var freq in spending) {
+      for (var key in spending[freq]) {
+        if (!getSliderForItem(freq, key)) items.push({ freq: freq, key: key });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Annual total of one slider category's line items, or of the unmapped
+   * items when sliderName is null.
+   * @param {Object} spending - Spending map (freq -> { key: amount })
+   * @param {string|null} sliderName - Key of SLIDER_MAPPING
+   * @returns {number}
+   */
+  function categoryItemTotal(spending, sliderName) {
+    var items = sliderName ? SLIDER_MAPPING[sliderName] || [] : getUnmappedItems(spending);
+    var total = 0;
+    for (var i = 0; i < items.length; i++) {
+      var amount = (spending[items[i].freq] && spending[items[i].freq][items[i].key]) || 0;
+      total += amount * (FREQ_TO_ANNUAL[items[i].freq] || 1);
+    }
+    return total;
+  }
+
+  /**
+   * Scale one slider category's line items proportionally so they add up to
+   * an annual amount. A category whose items are all zero takes its
+   * proportions from `shape`, or splits the amount evenly without one.
+   * @param {Object} spending - Spending map (freq -> { key: amount })
+   * @param {string} sliderName - Key of SLIDER_MAPPING
+   * @param {number} annualAmount - New category total
+   * @param {Object} [shape] - Spending map with earlier amounts for the
+   *   category's items
+   * @returns {Object} Copy of the spending map with the category rescaled
+   */
+  function scaleCategoryItems(spending, sliderName, annualAmount, shape) {
+    var result = {};
+    for (var f in spending) result[f] = Object.assign({}, spending[f]);
+    var items = SLIDER_MAPPING[sliderName] || [];
+    var source = shape && !(categoryItemTotal(spending, sliderName) > 0) ? shape : spending;
+    var current = categoryItemTotal(source, sliderName);
+    for (var i = 0; i < items.length; i++) {
+      var freq = items[i].freq;
+      var key = items[i].key;
+      var perYear = FREQ_TO_ANNUAL[freq] || 1;
+      if (!result[freq]) result[freq] = {};
+      result[freq][key] = current > 0 ?
+        ((source[freq] && source[freq][key]) || 0) * annualAmount / current :
+        annualAmount / items.length / perYear;
+    }
+    return result;
+  }
+
+  /**
+   * The spending categories in display order, each with its SLIDER_CONFIG
+   * settings and SLIDER_MAPPING line items. Safe to modify and pass to
+   * setCategories.
+   * @returns {Array} [{ key, label, minPct, maxPct, minAmount?, maxAmount?,
+   *   mode?, curve?, points?, refIncome?, elasticity?, typical?, displayFreq,
+   *   color, items }] where items are { freq, key, label }; per-child
+   *   categories have perChild, minScale and maxScale instead of the
+   *   percentages and no mode or curve
+   */
+  function getCategories() {
+    return Object.keys(SLIDER_CONFIG).map(function (key) {
+      var category = Object.assign({ key: key }, SLIDER_CONFIG[key]);
+      if (category.points) category.points = category.points.map(function (p) { return p.slice(); });
+      if (category.typical) category.typical = category.typical.slice();
+      category.items = (SLIDER_MAPPING[key] || []).map(function (item) {
+        return { freq: item.freq, key: item.key, label: item.label || SPENDING_ITEM_LABELS[item.key] || item.key };
+      });
+      return category;
+    });
+  }
+
+  // Check a category's SLIDER_CURVES settings; fail(reason) builds the error
+  function validateCurve(c, fail) {
+    if (!c.curve) return;
+    if (!SLIDER_CURVES[c.curve]) throw fail('unknown curve ' + c.curve);
+    if (c.curve === 'log' && !(c.minPct > 0)) throw fail('a log curve needs minPct > 0');
+    if (c.curve === 'piecewise') {
+      var prev = [0, c.minPct];
+      var points = c.points || [];
+      for (var i = 0; i < points.length; i++) {
+        var p = points[i];
+        if (!(p[0] > prev[0] && p[0] < 100 && p[1] > prev[1] && p[1] < c.maxPct)) {
+          throw fail('piecewise points must rise strictly inside the slider and percentage ranges');
+        }
+        prev = p;
+      }
+    }
+    if (c.curve === 'income' && !(c.refIncome > 0 && c.elasticity > 0)) {
+      throw fail('an income curve needs refIncome > 0 and elasticity > 0');
+    }
+  }
+
+  /**
+   * Replace the spending categories (see getCategories for the shape).
+   * SLIDER_CONFIG and SLIDER_MAPPING are updated in place, so every slider
+   * helper, computeSliderBudget and solveBudget use the new set. Item keys
+   * must be unique across categories so each item belongs to one slider.
+   * Nothing changes unless the whole set is valid; a piecewise curve
+   * without points is linear.
+   * @param {Array} categories
+   * @throws {Error} On a missing or duplicate key, a bad range, mode,
+   *   curve, frequency or color; 'fixed' mode needs an amount range
+   */
+  function setCategories(categories) {
+    var keys = {};
+    var itemKeys = {};
+    var c;
+    function invalid(reason) {
+      return new Error('Invalid category ' + (c.key || c.label) + ': ' + reason);
+    }
+    for (var i = 0; i < categories.length; i++) {
+      c = categories[i];
+      if (!/^[a-zA-Z]\w*$/.test(c.key || '') || c.key === 'other') throw invalid('key must be a word other than "other"');
+      if (keys[c.key]) throw invalid('duplicate key');
+      keys[c.key] = true;
+      if (!c.label) throw invalid('label is required');
+      if (!FREQ_DIVISORS[c.displayFreq]) throw invalid('unknown display frequency ' + c.displayFreq);
+      if (!/^#[0-9a-fA-F]{6}$/.test(c.color || '')) throw invalid('color must be #rrggbb');
+      if (c.perChild) {
+        if (!(c.minScale >= 0 && c.maxScale > c.minScale)) throw invalid('scale range');
+        if (c.mode || c.curve) throw invalid('per-child categories have no slider mode or curve');
+      } else if (!(c.minPct >= 0 && c.maxPct > c.minPct && c.maxPct <= 1)) {
+        throw invalid('percentage range must satisfy 0 <= minPct < maxPct <= 1');
+      } else {
+        validateCurve(c, invalid);
+      }
+      if (c.typical && !(c.typical[0] >= 0 && c.typical[1] >= c.typical[0])) {
+        throw invalid('typical range must be [low, high] with 0 <= low <= high');
+      }
+      if (c.mode && !SLIDER_MODES[c.mode]) throw invalid('unknown slider mode ' + c.mode);
+      if (c.minAmount !== undefined || c.maxAmount !== undefined || c.mode === 'fixed') {
+        if (!(c.minAmount >= 0 && c.maxAmount > c.minAmount)) {
+          throw invalid('amount range must satisfy 0 <= minAmount < maxAmount');
+        }
+      }
+      var items = c.items || [];
+      for (var j = 0; j < items.length; j++) {
+        if (!FREQ_TO_ANNUAL[items[j].freq]) throw invalid('unknown item frequency ' + items[j].freq);
+        if (!/^[a-zA-Z]\w*$/.test(items[j].key || '')) throw invalid('item key must be a word');
+        if (itemKeys[items[j].key]) throw invalid('item ' + items[j].key + ' is in two categories');
+        itemKeys[items[j].key] = true;
+      }
+    }
+
+    // Build the new set in full before touching the live one
+    var configs = {};
+    var mappings = {};
+    for (var k = 0; k < categories.length; k++) {
+      var category = categories[k];
+      var config = { label: category.label, displayFreq: category.displayFreq, color: category.color };
+      if (category.perChild) {
+        config.perChild = true;
+        config.minScale = category.minScale;
+        config.maxScale = category.maxScale;
+      } else {
+        config.minPct = category.minPct;
+        config.maxPct = category.maxPct;
+        if (category.mode) config.mode = category.mode;
+        if (category.curve) config.curve = category.curve;
+        if (category.curve === 'piecewise') {
+          config.points = (category.points || []).map(function (p) { return [p[0], p[1]]; });
+        }
+        if (category.curve === 'income') {
+          config.refIncome = category.refIncome;
+          config.elasticity = category.elasticity;
+        }
+      }
+      if (category.typical) config.typical = [category.typical[0], category.typical[1]];
+      if (category.maxAmount !== undefined) {
+        config.minAmount = category.minAmount;
+        config.maxAmount = category.maxAmount;
+      }
+      configs[category.key] = config;
+      if (category.items && category.items.length) {
+        mappings[category.key] = category.items.map(function (item) {
+          return { freq: item.freq, key: item.key, label: item.label || SPENDING_ITEM_LABELS[item.key] || item.key };
+        });
+      }
+    }
+
+    var name;
+    for (name in SLIDER_CONFIG) delete SLIDER_CONFIG[name];
+    for (name in SLIDER_MAPPING) delete SLIDER_MAPPING[name];
+    Object.assign(SLIDER_CONFIG, configs);
+    Object.assign(SLIDER_MAPPING, mappings);
+  }
+
+  /**
+   * Restore the built-in spending categories.
+   */
+  function resetCategories() {
+    setCategories(DEFAULT_CATEGORIES);
+  }
+
   /**
    * Apply a slider multiplier to base spending values and return scaled values.
    * (Legacy function - kept for compatibility)
@@ -545,6 +4080,110 @@ const TaxEngine = (function () {
     return { scaledValues: scaledValues, annualImpact: annualImpact };
   }
 
+  // ── Scenario Links ────────────────────────────────────────
+
+  // Bump only when an existing key changes meaning. New keys go out under the
+  // same version: older readers skip keys they don't know, and links made
+  // before a key existed leave it at the page's default. Version 2 leaves out
+  // line items that match the preset's.
+  const SCENARIO_VERSION = 2;
+
+  // Short codes for spending line-item frequencies in a link
+  const SCENARIO_FREQ_CODES = { annual: 'a', monthly: 'm', weekly: 'w', daily: 'd' };
+
+  // Dollars keep cents; slider positions keep enough places to price exactly
+  function scenarioNumber(value, places) {
+    var scale = Math.pow(10, places || 2);
+    return String(Math.round(value * scale) / scale);
+  }
+
+  /**
+   * Serialize a scenario into a compact URL hash (without the '#').
+   * @param {Object} state
+   * @param {string} [state.preset] - PRESETS key the scenario started from
+   * @param {Object} state.fields - Map of input id -> number or string
+   * @param {number[]} [state.dependents] - Dependent ages
+   * @param {Object} [state.sliders] - Map of SLIDER_CONFIG key -> 0-100
+   * @param {Object} [state.amounts] - Map of SLIDER_CONFIG key -> annual
+   *   dollars, for categories with no items to carry them
+   * @param {Object} [state.items] - Spending line items, { annual: {}, monthly: {}, ... };
+   *   those that match the preset's spending are left out
+   * @returns {string} e.g. 'v=2&p=quant_senior&f.salary=250000&i.m.rent=4000'
+   */
+  function encodeScenario(state) {
+    var params = new URLSearchParams();
+    params.set('v', SCENARIO_VERSION);
+    if (state.preset) params.set('p', state.preset);
+    for (var id in state.fields) {
+      var value = state.fields[id];
+      params.set('f.' + id, typeof value === 'number' ? scenarioNumber(value) : value);
+    }
+    if (state.dependents) {
+      params.set('d', state.dependents.map(function (age) { return scenarioNumber(age); }).join(','));
+    }
+    for (var name in state.sliders) params.set('s.' + name, scenarioNumber(state.sliders[name], 6));
+    for (name in state.amounts) params.set('a.' + name, scenarioNumber(state.amounts[name]));
+    var base = PRESETS[state.preset] ? PRESETS[state.preset].spending : {};
+    for (var freq in SCENARIO_FREQ_CODES) {
+      var items = (state.items && state.items[freq]) || {};
+      var baseItems = base[freq] || {};
+      for (var key in Object.assign({}, baseItems, items)) {
+        var value = scenarioNumber(items[key] || 0);
+        if (value !== scenarioNumber(baseItems[key] || 0)) {
+          params.set('i.' + SCENARIO_FREQ_CODES[freq] + '.' + key, value);
+        }
+      }
+    }
+    return params.toString();
+  }
+
+  /**
+   * Read a hash written by encodeScenario. Numeric field values come back as
+   * numbers and everything else as strings; unknown keys are ignored. Items
+   * the link leaves out are the preset's (version 1 links list them all).
+   * @param {string} hash - With or without the leading '#'
+   * @returns {Object|null} { version, preset, fields, dependents, sliders, amounts, items }
+   *   (preset and dependents null when absent), or null when the hash is not
+   *   a scenario link
+   * @throws {Error} On a link from a newer SCENARIO_VERSION
+   */
+  function decodeScenario(hash) {
+    var params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    var version = parseInt(params.get('v'), 10);
+    if (!(version >= 1)) return null;
+    if (version > SCENARIO_VERSION) throw new Error('Unsupported scenario version: ' + version);
+
+    var freqs = {};
+    for (var f in SCENARIO_FREQ_CODES) freqs[SCENARIO_FREQ_CODES[f]] = f;
+    var preset = params.get('p');
+    var base = version >= 2 && PRESETS[preset] ? PRESETS[preset].spending : {};
+    var state = {
+      version: version, preset: preset, fields: {}, dependents: null, sliders: {}, amounts: {},
+      items: {
+        annual: Object.assign({}, base.annual), monthly: Object.assign({}, base.monthly),
+        weekly: Object.assign({}, base.weekly), daily: Object.assign({}, base.daily),
+      },
+    };
+    params.forEach(function (value, key) {
+      var parts = key.split('.');
+      if (parts[0] === 'f' && parts.length === 2) {
+        state.fields[parts[1]] = /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value;
+      } else if (parts[0] === 's' && parts.length === 2 && isFinite(parseFloat(value))) {
+        state.sliders[parts[1]] = parseFloat(value);
+      } else if (parts[0] === 'a' && parts.length === 2 && isFinite(parseFloat(value))) {
+        state.amounts[parts[1]] = parseFloat(value);
+      } else if (parts[0] === 'i' && parts.length === 3 && freqs[parts[1]] && isFinite(parseFloat(value))) {
+        state.items[freqs[parts[1]]][parts[2]] = parseFloat(value);
+      } else if (key === 'd') {
+        state.dependents = value ? value.split(',').map(parseFloat).filter(isFinite) : [];
+      }
+    });
+    return state;
+  }
+
+  // Built-in categories, before any setCategories call
+  const DEFAULT_CATEGORIES = getCategories();
+
   // ── Public API ────────────────────────────────────────────
 
   return {
@@ -553,11 +4192,29 @@ const TaxEngine = (function () {
     FEDERAL_SINGLE: FEDERAL_SINGLE,
     FEDERAL_MARRIED: FEDERAL_MARRIED,
     NY_STATE: NY_STATE,
+    NY_RECAPTURE_TIER: NY_RECAPTURE_TIER,
     NYC_TAX: NYC_TAX,
+    FILING_STATUSES: FILING_STATUSES,
+    PRETAX_TREATMENT: PRETAX_TREATMENT,
+    INVESTMENT_INCOME: INVESTMENT_INCOME,
+    INCOME_STACK: INCOME_STACK,
+    CHILD_COSTS: CHILD_COSTS,
+    NY_CHILD_CARE_RATE: NY_CHILD_CARE_RATE,
+    SE_RETIREMENT_PLANS: SE_RETIREMENT_PLANS,
+    JURISDICTIONS: JURISDICTIONS,
+    DEFAULT_RESIDENCE: DEFAULT_RESIDENCE,
+    CITY_PROFILES: CITY_PROFILES,
+    TAX_YEARS: TAX_YEARS,
+    DEFAULT_TAX_YEAR: DEFAULT_TAX_YEAR,
     FREQ_TO_ANNUAL: FREQ_TO_ANNUAL,
     FREQ_DIVISORS: FREQ_DIVISORS,
+    PAY_FREQUENCIES: PAY_FREQUENCIES,
     SLIDER_MAPPING: SLIDER_MAPPING,
     SLIDER_CONFIG: SLIDER_CONFIG,
+    SLIDER_MODES: SLIDER_MODES,
+    SLIDER_CURVES: SLIDER_CURVES,
+    SCENARIO_VERSION: SCENARIO_VERSION,
+    SPENDING_ITEM_LABELS: SPENDING_ITEM_LABELS,
     PRESETS: PRESETS,
 
     // Formatting
@@ -568,19 +4225,69 @@ const TaxEngine = (function () {
 
     // Computation
     calcBrackets: calcBrackets,
+    calcStacked: calcStacked,
+    calcNyRecapture: calcNyRecapture,
+    calcTentativeMinimumTax: calcTentativeMinimumTax,
+    calcSaltCap: calcSaltCap,
+    calcNyItemizedLimit: calcNyItemizedLimit,
+    calcCtTax: calcCtTax,
+    calcWaCapitalGainsTax: calcWaCapitalGainsTax,
+    calcSelfEmploymentTax: calcSelfEmploymentTax,
+    calcSeRetirementLimit: calcSeRetirementLimit,
+    calcQbiDeduction: calcQbiDeduction,
+    calcUbt: calcUbt,
+    calcChildTaxCredit: calcChildTaxCredit,
+    calcDependentCareCredit: calcDependentCareCredit,
+    calcEmpireStateChildCredit: calcEmpireStateChildCredit,
+    calcNyChildCareCredit: calcNyChildCareCredit,
+    getJurisdiction: getJurisdiction,
+    getResidencyPeriod: getResidencyPeriod,
+    getTaxYear: getTaxYear,
+    filingConstant: filingConstant,
+    sumExempt: sumExempt,
+    getEarners: getEarners,
+    getInvestmentIncome: getInvestmentIncome,
+    computeGross: computeGross,
     computeTaxes: computeTaxes,
+    computeInvestmentTakeHome: computeInvestmentTakeHome,
+    computeIncomeAttribution: computeIncomeAttribution,
+    computeRateCurve: computeRateCurve,
+    computeWithholding: computeWithholding,
+    computeEstimatedPayments: computeEstimatedPayments,
+    getPayDates: getPayDates,
+    computePayCalendar: computePayCalendar,
     computeSpending: computeSpending,
+    computeChildCosts: computeChildCosts,
     computeBudget: computeBudget,
+    computeSliderBudget: computeSliderBudget,
+    findSalaryForTakeHome: findSalaryForTakeHome,
+    solveBudget: solveBudget,
+    computeCityComparison: computeCityComparison,
 
     // Sliders (new percentage-based)
     sliderToPercentage: sliderToPercentage,
     percentageToSlider: percentageToSlider,
+    sliderToScale: sliderToScale,
+    sliderToAmount: sliderToAmount,
+    amountToSlider: amountToSlider,
+    annualToSlider: annualToSlider,
+    typicalSliderRange: typicalSliderRange,
     computeSliderAmount: computeSliderAmount,
 
     // Sliders (legacy)
     sliderToMultiplier: sliderToMultiplier,
     getSliderForItem: getSliderForItem,
     applySliderMultiplier: applySliderMultiplier,
+    getUnmappedItems: getUnmappedItems,
+    categoryItemTotal: categoryItemTotal,
+    scaleCategoryItems: scaleCategoryItems,
+    getCategories: getCategories,
+    setCategories: setCategories,
+    resetCategories: resetCategories,
+
+    // Scenario links
+    encodeScenario: encodeScenario,
+    decodeScenario: decodeScenario,
   };
 })();
 
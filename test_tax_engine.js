@@ -164,17 +164,22 @@ test('computeTaxes: 240K scenario (verified against manual calc)', function () {
   // Federal tax ~41142
   approxEqual(r.federal.tax, 41142, 50, 'federal tax');
 
-  // SS: min(240000, 168600) * 0.062 = 10453.20
+  // SS: min(240000 - 3600, 168600) * 0.062 = 10453.20
   approxEqual(r.ssTax, 10453, 1, 'SS tax');
 
-  // Medicare: 240000 * 0.0145 + (240000-200000) * 0.009 = 3480 + 360 = 3840
-  approxEqual(r.medicareTax, 3840, 1, 'medicare tax');
+  // Medicare wages exclude the Section 125 insurance premium (not the 401k):
+  // 236400 * 0.0145 + (236400-200000) * 0.009 = 3427.80 + 327.60 = 3755.40
+  approxEqual(r.medicareTax, 3755, 1, 'medicare tax');
 
   // Effective rate ~31.2%
   approxEqual(r.effectiveRate, 0.312, 0.01, 'effective rate');
 
+  // NY AGI 212,900 is fully past the first recapture phase-in, so NY taxes
+  // all 204,900 of taxable income at 6%: schedule tax + $568 recapture
+  approxEqual(r.nyRecapture, 568, 1, 'NY recapture');
+
   // Take-home should be roughly 137K-138K
-  approxEqual(r.takeHome, 137921, 200, 'take-home');
+  approxEqual(r.takeHome, 137438, 200, 'take-home');
 });
 
 test('computeTaxes: SS caps at wage base', function () {
@@ -248,6 +253,22 @@ test('computeSpending: mixed frequencies', function () {
   assert.strictEqual(s.totalAnnual, 1000 + 36000 + 5200 + 1825);
 });
 
+test('computeSpending: a part year scales every annual figure', function () {
+  var s = T.computeSpending({
+    annual: { vacations: 1000 },
+    monthly: { rent: 3000 },
+    weekly: { dining: 100 },
+    daily: { coffee: 5 },
+  }, 0.5);
+  assert.strictEqual(s.monthly, 3000);
+  assert.strictEqual(s.annual, 500);
+  assert.strictEqual(s.monthlyAnnual, 18000);
+  assert.strictEqual(s.weeklyAnnual, 2600);
+  assert.strictEqual(s.dailyAnnual, 912.5);
+  assert.strictEqual(s.annual + s.monthlyAnnual + s.weeklyAnnual + s.dailyAnnual, s.totalAnnual);
+  assert.strictEqual(s.totalAnnual, (1000 + 36000 + 5200 + 1825) / 2);
+});
+
 test('computeSpending: senior preset totals are reasonable', function () {
   var s = T.computeSpending(T.PRESETS.senior.spending);
   // Senior preset should have total annual spending roughly 80-120K
@@ -398,7 +419,7 @@ test('all preset budgets produce positive take-home', function () {
   Object.keys(T.PRESETS).forEach(function (name) {
     var p = T.PRESETS[name];
     var r = T.computeTaxes({
-      salary: p.salary, bonus: p.bonus, otherIncome: p.otherIncome,
+      salary: p.salary, bonus: p.bonus, rsuIncome: p.rsuIncome,
       retirement: p.retirement, insurance: p.insurance, hsa: p.hsa,
       otherDeductions: p.otherDeductions, filing: 'single',
     });
@@ -441,7 +462,8 @@ test('computeTaxes: very high income (1.5M)', function () {
   var r = T.computeTaxes({ salary: 1000000, bonus: 500000, filing: 'single' });
   assert.strictEqual(r.gross, 1500000);
   assert.ok(r.effectiveRate > 0.35, 'effective rate > 35% for 1.5M');
-  assert.ok(r.effectiveRate < 0.50, 'effective rate < 50% for 1.5M');
+  // NY recapture taxes all NY income at 9.65%, pushing the rate just past 50%
+  assert.ok(r.effectiveRate < 0.55, 'effective rate < 55% for 1.5M');
   assert.ok(r.takeHome > 0, 'still has positive take-home');
 });
 
@@ -465,6 +487,1703 @@ test('computeTaxes: all deductions fields used together', function () {
   assert.ok(r.takeHome > 200000, 'reasonable take-home for 370K married');
 });
 
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Tax Years ===');
+// ─────────────────────────────────────────────────────────────
+
+test('TAX_YEARS: 2024, 2025 and 2026 are available', function () {
+  [2024, 2025, 2026].forEach(function (year) {
+    var t = T.getTaxYear(year);
+    Object.keys(T.FILING_STATUSES).forEach(function (filing) {
+      assert.ok(t.federal[filing], year + ' ' + filing + ' federal brackets');
+      assert.ok(t.nyState[filing], year + ' ' + filing + ' NY brackets');
+      assert.ok(t.nyc[filing], year + ' ' + filing + ' NYC brackets');
+      assert.ok(t.capitalGains[filing], year + ' ' + filing + ' capital gains brackets');
+    });
+    assert.ok(t.constants.ssWageBase > 0, year + ' SS wage base');
+    assert.ok(t.constants.retirementLimit > 0, year + ' 401(k) limit');
+    assert.ok(t.constants.hsaLimitSelf > 0, year + ' HSA limit');
+  });
+});
+
+test('getTaxYear: defaults to 2024 and matches legacy exports', function () {
+  var t = T.getTaxYear();
+  assert.strictEqual(t.constants, T.CONSTANTS);
+  assert.strictEqual(t.federal.single, T.FEDERAL_SINGLE);
+  assert.strictEqual(t.nyState.single, T.NY_STATE);
+  assert.strictEqual(t.nyc.single, T.NYC_TAX);
+});
+
+test('getTaxYear: accepts string years from <select> values', function () {
+  assert.strictEqual(T.getTaxYear('2025'), T.TAX_YEARS[2025]);
+});
+
+test('getTaxYear: unsupported year throws', function () {
+  assert.throws(function () { T.getTaxYear(1999); }, /Unsupported tax year/);
+});
+
+test('computeTaxes: defaults to 2024 and echoes taxYear', function () {
+  var r = T.computeTaxes({ salary: 100000, filing: 'single' });
+  assert.strictEqual(r.taxYear, 2024);
+});
+
+test('computeTaxes: SS wage base follows the selected year', function () {
+  var r2025 = T.computeTaxes({ salary: 500000, filing: 'single', taxYear: 2025 });
+  var r2026 = T.computeTaxes({ salary: 500000, filing: 'single', taxYear: 2026 });
+  approxEqual(r2025.ssTax, 176100 * 0.062, 1, '2025 SS');
+  approxEqual(r2026.ssTax, 184500 * 0.062, 1, '2026 SS');
+});
+
+test('computeTaxes: 2025 standard deduction applies', function () {
+  var r = T.computeTaxes({ salary: 100000, filing: 'single', taxYear: 2025 });
+  assert.strictEqual(r.taxableIncome, 100000 - 15750);
+});
+
+test('computeTaxes: 2026 NY rate cut lowers state tax', function () {
+  var r2025 = T.computeTaxes({ salary: 150000, filing: 'single', taxYear: 2025 });
+  var r2026 = T.computeTaxes({ salary: 150000, filing: 'single', taxYear: 2026 });
+  assert.ok(r2026.state.tax < r2025.state.tax, '2026 NY tax < 2025 NY tax');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Filing Statuses ===');
+// ─────────────────────────────────────────────────────────────
+
+test('filingConstant: every status has deductions and Medicare threshold', function () {
+  Object.keys(T.TAX_YEARS).forEach(function (year) {
+    var c = T.TAX_YEARS[year].constants;
+    Object.keys(T.FILING_STATUSES).forEach(function (filing) {
+      ['standardDeduction', 'nyStandardDeduction', 'medicareThreshold'].forEach(function (prefix) {
+        var v = T.filingConstant(c, prefix, filing);
+        assert.ok(typeof v === 'number' && v > 0, year + ' ' + prefix + ' ' + filing);
+      });
+    });
+  });
+});
+
+test('computeTaxes: unknown filing status throws instead of defaulting', function () {
+  assert.throws(function () {
+    T.computeTaxes({ salary: 100000, filing: 'widowed' });
+  }, /Unsupported filing status/);
+});
+
+test('computeTaxes: head of household uses its own deduction and brackets', function () {
+  var single = T.computeTaxes({ salary: 120000, filing: 'single' });
+  var hoh = T.computeTaxes({ salary: 120000, filing: 'headOfHousehold' });
+  assert.strictEqual(hoh.taxableIncome, 120000 - 21900);
+  assert.strictEqual(hoh.stateTaxableIncome, 120000 - 11200);
+  assert.ok(hoh.federal.tax < single.federal.tax, 'HoH federal < single federal');
+  assert.ok(hoh.state.tax < single.state.tax, 'HoH NY < single NY');
+  assert.ok(hoh.city.tax < single.city.tax, 'HoH NYC < single NYC');
+});
+
+test('computeTaxes: married filing separately hits 37% earlier than single', function () {
+  var single = T.computeTaxes({ salary: 400000, filing: 'single' });
+  var mfs = T.computeTaxes({ salary: 400000, filing: 'marriedSeparate' });
+  assert.strictEqual(single.federal.topRate, 0.35);
+  assert.strictEqual(mfs.federal.topRate, 0.37);
+  assert.ok(mfs.federal.tax > single.federal.tax, 'MFS federal > single federal');
+});
+
+test('computeTaxes: MFS additional Medicare starts at $125K', function () {
+  var r = T.computeTaxes({ salary: 150000, filing: 'marriedSeparate' });
+  assert.strictEqual(r.medicareThreshold, 125000);
+  approxEqual(r.medicareTax, 150000 * 0.0145 + 25000 * 0.009, 1, 'MFS medicare');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Two-Earner Households ===');
+// ─────────────────────────────────────────────────────────────
+
+test('computeTaxes: SS is capped per spouse, not per household', function () {
+  var r = T.computeTaxes({
+    salary: 150000, filing: 'married',
+    spouse: { salary: 150000 },
+  });
+  assert.strictEqual(r.gross, 300000);
+  assert.strictEqual(r.earners.length, 2);
+  approxEqual(r.ssTax, 2 * 150000 * 0.062, 1, 'SS on both spouses');
+  approxEqual(r.earners[1].ssTax, 9300, 1, 'spouse B SS');
+});
+
+test('computeTaxes: each spouse hits their own SS wage base', function () {
+  var r = T.computeTaxes({
+    salary: 400000, filing: 'married',
+    spouse: { salary: 100000 },
+  });
+  approxEqual(r.ssTax, (168600 + 100000) * 0.062, 1, 'SS');
+});
+
+test('computeTaxes: additional Medicare uses the joint threshold', function () {
+  var r = T.computeTaxes({
+    salary: 150000, filing: 'married',
+    spouse: { salary: 150000 },
+  });
+  // Neither spouse exceeds 200K alone, but the couple exceeds 250K
+  approxEqual(r.medicareTax, 300000 * 0.0145 + 50000 * 0.009, 1, 'medicare');
+});
+
+test('computeTaxes: spouse is ignored unless filing jointly', function () {
+  var r = T.computeTaxes({
+    salary: 150000, filing: 'marriedSeparate',
+    spouse: { salary: 150000 },
+  });
+  assert.strictEqual(r.gross, 150000);
+  assert.strictEqual(r.earners.length, 1);
+});
+
+test('computeTaxes: per-spouse take-home sums to household take-home', function () {
+  var r = T.computeTaxes({
+    salary: 200000, bonus: 30000, retirement: 23000, insurance: 3600, filing: 'married',
+    spouse: { salary: 120000, otherIncome: 40000, retirement: 10000 },
+  });
+  var sum = r.earners[0].takeHome + r.earners[1].takeHome;
+  approxEqual(sum, r.takeHome, 0.01, 'earner take-home sum');
+  assert.strictEqual(r.retirement, 33000);
+  assert.strictEqual(r.salary, 320000);
+});
+
+test('computeGross: includes the spouse on joint returns', function () {
+  assert.strictEqual(T.computeGross({ salary: 100000, bonus: 5000, filing: 'married',
+    spouse: { salary: 80000, bonus: 2000 } }), 187000);
+  assert.strictEqual(T.computeGross({ salary: 100000, filing: 'single',
+    spouse: { salary: 80000 } }), 100000);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Pre-Tax Deduction Treatment ===');
+// ─────────────────────────────────────────────────────────────
+
+test('PRETAX_TREATMENT: 401(k) is FICA-taxable, cafeteria plan items are not', function () {
+  assert.strictEqual(T.PRETAX_TREATMENT.retirement.fica, false);
+  assert.strictEqual(T.PRETAX_TREATMENT.retirement.federal, true);
+  ['insurance', 'hsa', 'otherDeductions', 'commuter'].forEach(function (key) {
+    assert.strictEqual(T.PRETAX_TREATMENT[key].fica, true, key);
+  });
+});
+
+test('sumExempt: only counts deductions excluded from the wage base', function () {
+  var amounts = { retirement: 23000, insurance: 3600, hsa: 4150 };
+  assert.strictEqual(T.sumExempt(amounts, 'federal'), 30750);
+  assert.strictEqual(T.sumExempt(amounts, 'fica'), 7750);
+});
+
+test('computeTaxes: health insurance and HSA lower FICA, 401(k) does not', function () {
+  var base = T.computeTaxes({ salary: 100000, filing: 'single' });
+  var k401 = T.computeTaxes({ salary: 100000, retirement: 20000, filing: 'single' });
+  var sec125 = T.computeTaxes({ salary: 100000, insurance: 3000, hsa: 2000, filing: 'single' });
+  approxEqual(k401.ssTax, base.ssTax, 0.01, '401k SS unchanged');
+  approxEqual(sec125.ssTax, 95000 * 0.062, 0.01, 'Section 125 SS');
+  approxEqual(sec125.medicareTax, 95000 * 0.0145, 0.01, 'Section 125 Medicare');
+  assert.strictEqual(sec125.ficaWages, 95000);
+});
+
+test('computeTaxes: commuter benefit reduces every wage base', function () {
+  var r = T.computeTaxes({ salary: 100000, commuter: 3000, filing: 'single' });
+  assert.strictEqual(r.commuter, 3000);
+  assert.strictEqual(r.totalPreTax, 3000);
+  assert.strictEqual(r.federalWages, 97000);
+  assert.strictEqual(r.ficaWages, 97000);
+  assert.strictEqual(r.nyWages, 97000);
+  assert.strictEqual(r.nycWages, 97000);
+});
+
+test('computeTaxes: household deductions come off the primary earner\'s FICA wages', function () {
+  var r = T.computeTaxes({
+    salary: 100000, insurance: 6000, filing: 'married',
+    spouse: { salary: 100000, retirement: 10000 },
+  });
+  assert.strictEqual(r.earners[0].ficaWages, 94000);
+  assert.strictEqual(r.earners[1].ficaWages, 100000);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Investment Income ===');
+// ─────────────────────────────────────────────────────────────
+
+test('calcStacked: taxes only the stacked slice', function () {
+  var brackets = [[100, 0], [Infinity, 0.5]];
+  assert.strictEqual(T.calcStacked(50, 100, brackets).tax, 25);
+  assert.strictEqual(T.calcStacked(200, 100, brackets).tax, 50);
+  assert.strictEqual(T.calcStacked(200, 0, brackets).tax, 0);
+});
+
+test('computeTaxes: investment income owes no FICA', function () {
+  var r = T.computeTaxes({
+    salary: 100000, shortTermGains: 20000, longTermGains: 30000,
+    qualifiedDividends: 5000, interest: 2000, filing: 'single',
+  });
+  assert.strictEqual(r.gross, 157000);
+  assert.strictEqual(r.investment.total, 57000);
+  assert.strictEqual(r.ficaWages, 100000);
+  approxEqual(r.ssTax, 6200, 0.01, 'SS on wages only');
+  approxEqual(r.medicareTax, 1450, 0.01, 'Medicare on wages only');
+});
+
+test('computeTaxes: long-term gains use 0/15/20% stacking', function () {
+  // 40K wages leaves 25.4K ordinary taxable; the first 21,625 of gains fall
+  // in the 0% band (up to 47,025) and the rest at 15%
+  var r = T.computeTaxes({ salary: 40000, longTermGains: 30000, filing: 'single' });
+  assert.strictEqual(r.ordinaryTaxableIncome, 25400);
+  assert.strictEqual(r.preferentialIncome, 30000);
+  approxEqual(r.capitalGains.tax, (30000 - 21625) * 0.15, 0.01, 'LTCG tax');
+});
+
+test('computeTaxes: high earners pay 20% on gains plus NIIT', function () {
+  var r = T.computeTaxes({ salary: 800000, longTermGains: 100000, filing: 'single' });
+  approxEqual(r.capitalGains.tax, 20000, 0.01, 'LTCG at 20%');
+  assert.strictEqual(r.capitalGains.topRate, 0.20);
+  approxEqual(r.niit, 3800, 0.01, 'NIIT');
+});
+
+test('computeTaxes: NIIT is limited to MAGI over the threshold', function () {
+  var r = T.computeTaxes({ salary: 190000, interest: 20000, filing: 'single' });
+  approxEqual(r.niit, 10000 * 0.038, 0.01, 'NIIT on excess MAGI');
+});
+
+test('computeTaxes: short-term gains are ordinary federally', function () {
+  var wages = T.computeTaxes({ salary: 150000, otherIncome: 20000, filing: 'single' });
+  var stcg = T.computeTaxes({ salary: 150000, shortTermGains: 20000, filing: 'single' });
+  approxEqual(stcg.federal.tax, wages.federal.tax, 0.01, 'same ordinary federal tax');
+  assert.strictEqual(stcg.capitalGains.tax, 0);
+});
+
+test('computeTaxes: NY and NYC tax long-term gains as ordinary income', function () {
+  var wages = T.computeTaxes({ salary: 150000, otherIncome: 50000, filing: 'single' });
+  var ltcg = T.computeTaxes({ salary: 150000, longTermGains: 50000, filing: 'single' });
+  approxEqual(ltcg.state.tax, wages.state.tax, 0.01, 'NY');
+  approxEqual(ltcg.city.tax, wages.city.tax, 0.01, 'NYC');
+});
+
+test('computeTaxes: RSU vests are W-2 wages', function () {
+  var r = T.computeTaxes({ salary: 100000, rsuIncome: 50000, filing: 'single' });
+  assert.strictEqual(r.rsuIncome, 50000);
+  assert.strictEqual(r.wages, 150000);
+  assert.strictEqual(r.ficaWages, 150000);
+});
+
+test('computeInvestmentTakeHome: gains keep more than short-term income', function () {
+  var r = T.computeInvestmentTakeHome({
+    salary: 300000, shortTermGains: 50000, longTermGains: 50000, filing: 'single',
+  });
+  assert.ok(r.longTermGains.afterTax > r.shortTermGains.afterTax, 'LTCG nets more');
+  assert.strictEqual(r.interest.amount, 0);
+  assert.strictEqual(r.interest.tax, 0);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== NY Tax Benefit Recapture ===');
+// ─────────────────────────────────────────────────────────────
+
+test('calcNyRecapture: none at or below $107,650 NY AGI', function () {
+  var brackets = T.NY_STATE;
+  assert.strictEqual(T.calcNyRecapture(107650, 99650, brackets, 4, T.CONSTANTS), 0);
+});
+
+test('calcNyRecapture: first tier phases in over $50K', function () {
+  // NY AGI 132,650 is halfway through the phase-in
+  var taxable = 124650;
+  var full = taxable * 0.06 - T.calcBrackets(taxable, T.NY_STATE).tax;
+  var r = T.calcNyRecapture(132650, taxable, T.NY_STATE, 4, T.CONSTANTS);
+  approxEqual(r, full / 2, 0.01, 'half recapture');
+});
+
+test('calcNyRecapture: single 6.85% tier matches the $568 + $1,831 worksheet', function () {
+  var r = T.calcNyRecapture(400000, 392000, T.NY_STATE, 4, T.CONSTANTS);
+  approxEqual(r, 568 + 1831, 1, 'worksheet 2 at full phase-in');
+});
+
+test('calcNyRecapture: married second tier uses the $333 base', function () {
+  // Taxable income in the 6% bracket, NY AGI 25K past 161,550
+  var r = T.calcNyRecapture(186550, 170500, T.TAX_YEARS[2024].nyState.married, 3, T.CONSTANTS);
+  approxEqual(r, 333 + 0.005 * 161550 / 2, 1, 'worksheet 8 half phase-in');
+});
+
+test('computeTaxes: fully recaptured income is taxed at the top NY rate', function () {
+  var r = T.computeTaxes({ salary: 2000000, filing: 'single' });
+  approxEqual(r.state.tax + r.nyRecapture, r.stateTaxableIncome * 0.0965, 1, 'flat 9.65%');
+});
+
+test('computeTaxes: NY AGI over $25M is taxed at a flat 10.9%', function () {
+  var r = T.computeTaxes({ salary: 30000000, filing: 'single' });
+  approxEqual(r.state.tax + r.nyRecapture, r.stateTaxableIncome * 0.109, 1, 'flat 10.9%');
+});
+
+test('computeTaxes: no recapture for moderate incomes', function () {
+  var r = T.computeTaxes({ salary: 100000, filing: 'single' });
+  assert.strictEqual(r.nyRecapture, 0);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Withholding ===');
+// ─────────────────────────────────────────────────────────────
+
+test('computeWithholding: bonus is withheld at the 22% federal flat rate', function () {
+  var base = T.computeWithholding({ salary: 150000, filing: 'single' });
+  var withBonus = T.computeWithholding({ salary: 150000, bonus: 50000, filing: 'single' });
+  approxEqual(withBonus.earners[0].federalSupplemental, 11000, 0.01, 'federal supplemental');
+  approxEqual(withBonus.withheld.state - base.withheld.state, 50000 * 0.117, 0.01, 'NY supplemental');
+  approxEqual(withBonus.withheld.city - base.withheld.city, 50000 * 0.0425, 0.01, 'NYC supplemental');
+});
+
+test('computeWithholding: supplemental wages over $1M withheld at 37%', function () {
+  var w = T.computeWithholding({ salary: 300000, rsuIncome: 1500000, filing: 'single' });
+  approxEqual(w.earners[0].federalSupplemental, 220000 + 500000 * 0.37, 0.01, 'federal supplemental');
+});
+
+test('computeWithholding: salary-only single filer is close to break-even', function () {
+  var w = T.computeWithholding({ salary: 90000, filing: 'single' });
+  approxEqual(w.balance.federal, 0, 1, 'federal');
+  approxEqual(w.balance.total, 0, 1, 'total');
+});
+
+test('computeWithholding: big RSU vests leave a federal balance due', function () {
+  var w = T.computeWithholding({ salary: 250000, rsuIncome: 400000, filing: 'single' });
+  assert.ok(w.balance.federal > 0, 'federal owed: ' + w.balance.federal);
+  approxEqual(w.extraPerPaycheck.federal, (w.balance.federal + w.balance.medicare) / 26, 0.01, 'W-4 extra');
+});
+
+test('computeWithholding: investment income has no withholding', function () {
+  var base = T.computeWithholding({ salary: 150000, filing: 'single' });
+  var w = T.computeWithholding({ salary: 150000, longTermGains: 100000, filing: 'single' });
+  assert.strictEqual(w.withheld.total, base.withheld.total);
+  assert.ok(w.balance.total > base.balance.total + 15000, 'gains owed at filing');
+});
+
+test('computeWithholding: two earners each withhold from the joint table', function () {
+  var w = T.computeWithholding({
+    salary: 200000, filing: 'married', spouse: { salary: 200000 },
+  });
+  assert.strictEqual(w.earners.length, 2);
+  assert.ok(w.balance.federal > 0, 'two-earner under-withholding');
+});
+
+test('computeWithholding: Additional Medicare withheld per earner over $200K', function () {
+  var w = T.computeWithholding({ salary: 240000, filing: 'married' });
+  approxEqual(w.withheld.medicare, 240000 * 0.0145 + 40000 * 0.009, 0.01, 'withheld');
+  approxEqual(w.balance.medicare, -40000 * 0.009, 0.01, 'refunded on the joint return');
+});
+
+test('computeWithholding: balances add up to liability minus withholding', function () {
+  var w = T.computeWithholding({ salary: 200000, bonus: 80000, interest: 5000, filing: 'single' }, 24);
+  assert.strictEqual(w.payPeriods, 24);
+  approxEqual(w.balance.total, w.liability.total - w.withheld.total, 0.01, 'total balance');
+  approxEqual(w.liability.total, w.taxes.totalTax, 0.01, 'liability matches computeTaxes');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Paycheck Calendar ===');
+// ─────────────────────────────────────────────────────────────
+
+test('getPayDates: check counts per frequency', function () {
+  Object.keys(T.PAY_FREQUENCIES).forEach(function (freq) {
+    var dates = T.getPayDates(2024, freq);
+    assert.strictEqual(dates.length, T.PAY_FREQUENCIES[freq].periods, freq);
+    dates.forEach(function (d) { assert.ok(d.indexOf('2024-') === 0, freq + ' ' + d); });
+  });
+});
+
+test('getPayDates: schedules land on the expected days', function () {
+  assert.strictEqual(T.getPayDates(2024, 'biweekly')[0], '2024-01-05');
+  assert.strictEqual(T.getPayDates(2024, 'semimonthly')[3], '2024-02-29');
+  assert.strictEqual(T.getPayDates(2025, 'monthly')[1], '2025-02-28');
+});
+
+test('getPayDates: unknown frequency throws', function () {
+  assert.throws(function () { T.getPayDates(2024, 'daily'); }, /Unsupported pay frequency/);
+});
+
+test('computePayCalendar: net pay jumps once the SS wage base is reached', function () {
+  var cal = T.computePayCalendar({ salary: 260000, filing: 'single' }, { frequency: 'biweekly' });
+  var first = cal.checks[0];
+  var last = cal.checks[cal.checks.length - 1];
+  assert.ok(first.ss > 0, 'SS withheld early in the year');
+  assert.strictEqual(last.ss, 0);
+  assert.ok(last.net > first.net, 'later checks are larger');
+  approxEqual(cal.totals.ss, 168600 * 0.062, 0.01, 'SS total');
+});
+
+test('computePayCalendar: bonus and RSUs land on their dates', function () {
+  var cal = T.computePayCalendar({ salary: 120000, bonus: 20000, rsuIncome: 40000, filing: 'single' }, {
+    frequency: 'monthly',
+    bonusDates: ['2024-03-10'],
+    rsuDates: ['2024-06-15', '2024-12-15'],
+  });
+  assert.strictEqual(cal.checks[2].bonus, 20000);
+  assert.strictEqual(cal.checks[5].rsu, 20000);
+  assert.strictEqual(cal.checks[11].rsu, 20000);
+  approxEqual(cal.checks[2].federal - cal.checks[0].federal, 20000 * 0.22, 0.01, 'supplemental');
+});
+
+test('computePayCalendar: totals reconcile with computeWithholding', function () {
+  var inputs = {
+    salary: 216000, bonus: 31000, rsuIncome: 170000,
+    retirement: 23500, insurance: 3600, hsa: 4150, filing: 'married',
+  };
+  var cal = T.computePayCalendar(inputs, { frequency: 'semimonthly' });
+  var w = T.computeWithholding(inputs).earners[0];
+  approxEqual(cal.totals.gross, 417000, 0.01, 'gross');
+  approxEqual(cal.totals.federal, w.federal, 0.01, 'federal');
+  approxEqual(cal.totals.state, w.state, 0.01, 'state');
+  approxEqual(cal.totals.medicare, w.medicare, 0.01, 'medicare');
+  approxEqual(cal.checks[cal.checks.length - 1].cumulativeNet, cal.totals.net, 0.01, 'cumulative');
+});
+
+test('computePayCalendar: simulates the spouse on request', function () {
+  var cal = T.computePayCalendar({
+    salary: 100000, filing: 'married', spouse: { salary: 52000 },
+  }, { frequency: 'weekly', earner: 1 });
+  assert.strictEqual(cal.earner, 1);
+  approxEqual(cal.checks[0].gross, 1000, 0.01, 'spouse weekly gross');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Alternative Minimum Tax ===');
+// ─────────────────────────────────────────────────────────────
+
+test('AMT: ordinary W-2 income owes no AMT', function () {
+  var r = T.computeTaxes({ salary: 200000, filing: 'single' });
+  assert.strictEqual(r.amt.amt, 0);
+  assert.strictEqual(r.amt.amti, 200000);
+  assert.ok(r.amt.tentativeMinimumTax < r.federal.tax);
+});
+
+test('AMT: ISO exercise-and-hold triggers AMT', function () {
+  var r = T.computeTaxes({ salary: 150000, isoBargainElement: 200000, filing: 'single' });
+  // AMTI 350K - 85,700 exemption = 264,300: 232,600 @ 26% + 31,700 @ 28%
+  approxEqual(r.amt.tentativeMinimumTax, 232600 * 0.26 + 31700 * 0.28, 0.01, 'TMT');
+  approxEqual(r.amt.amt, r.amt.tentativeMinimumTax - r.federal.tax, 0.01, 'AMT');
+  // The spread is not wages: no FICA, NY or gross impact
+  assert.strictEqual(r.gross, 150000);
+  approxEqual(r.ficaWages, 150000, 0.01, 'FICA wages');
+  var noIso = T.computeTaxes({ salary: 150000, filing: 'single' });
+  approxEqual(r.state.tax, noIso.state.tax, 0.01, 'NY unaffected');
+  approxEqual(r.totalTax - noIso.totalTax, r.amt.amt, 0.01, 'total');
+});
+
+test('AMT: exemption phases out above the threshold', function () {
+  var r = T.computeTaxes({ salary: 500000, isoBargainElement: 300000, filing: 'single' });
+  // AMTI 800K is 190,650 over 609,350: exemption 85,700 - 47,662.50
+  approxEqual(r.amt.exemption, 85700 - 190650 * 0.25, 0.01, 'exemption');
+  var big = T.computeTaxes({ salary: 500000, isoBargainElement: 1000000, filing: 'single' });
+  assert.strictEqual(big.amt.exemption, 0);
+});
+
+test('AMT: 2026 phase-out starts lower and runs at 50%', function () {
+  var r = T.computeTaxes({ salary: 400000, isoBargainElement: 150000, filing: 'single', taxYear: 2026 });
+  approxEqual(r.amt.exemption, 90100 - 50000 * 0.5, 0.01, 'exemption');
+});
+
+test('AMT: long-term gains keep capital gains rates', function () {
+  var withGains = T.computeTaxes({ salary: 150000, longTermGains: 100000, isoBargainElement: 200000, filing: 'single' });
+  var asWages = T.computeTaxes({ salary: 250000, isoBargainElement: 200000, filing: 'single' });
+  assert.ok(withGains.amt.tentativeMinimumTax < asWages.amt.tentativeMinimumTax);
+});
+
+test('AMT: ISO-driven AMT becomes a credit carryforward', function () {
+  var r = T.computeTaxes({ salary: 150000, isoBargainElement: 200000, filing: 'single' });
+  approxEqual(r.amt.creditGenerated, r.amt.amt, 0.01, 'all deferral');
+  approxEqual(r.amt.creditCarryforward, r.amt.amt, 0.01, 'carryforward');
+});
+
+test('AMT: prior credit offsets regular tax down to TMT', function () {
+  var base = T.computeTaxes({ salary: 300000, filing: 'single' });
+  var gap = base.federal.tax - base.amt.tentativeMinimumTax;
+  var small = T.computeTaxes({ salary: 300000, amtCreditCarryforward: 10000, filing: 'single' });
+  assert.strictEqual(small.amt.creditUsed, 10000);
+  assert.strictEqual(small.amt.creditCarryforward, 0);
+  approxEqual(base.totalTax - small.totalTax, 10000, 0.01, 'credit');
+  var large = T.computeTaxes({ salary: 300000, amtCreditCarryforward: 100000, filing: 'single' });
+  approxEqual(large.amt.creditUsed, gap, 0.01, 'limited');
+  approxEqual(large.amt.creditCarryforward, 100000 - gap, 0.01, 'remaining');
+});
+
+test('AMT: withholding liability includes AMT', function () {
+  var inputs = { salary: 150000, isoBargainElement: 200000, filing: 'single' };
+  var w = T.computeWithholding(inputs);
+  var noIso = T.computeWithholding({ salary: 150000, filing: 'single' });
+  approxEqual(w.balance.federal - noIso.balance.federal, w.taxes.amt.amt, 0.01, 'balance');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Itemized Deductions ===');
+// ─────────────────────────────────────────────────────────────
+
+test('Itemized: W-2 only filers keep the federal standard deduction', function () {
+  var r = T.computeTaxes({ salary: 240000, filing: 'single' });
+  assert.strictEqual(r.federalDeduction.method, 'standard');
+  assert.strictEqual(r.federalDeduction.salt, 10000);
+  assert.strictEqual(r.nyDeduction.method, 'standard');
+});
+
+test('Itemized: mortgage interest plus capped SALT beats the standard deduction', function () {
+  var r = T.computeTaxes({ salary: 240000, mortgageInterest: 20000, filing: 'single' });
+  assert.strictEqual(r.federalDeduction.method, 'itemized');
+  assert.strictEqual(r.federalDeduction.amount, 30000);
+  assert.strictEqual(r.taxableIncome, r.federalAgi - 30000);
+});
+
+test('Itemized: SALT includes the computed NY/NYC income tax', function () {
+  var r = T.computeTaxes({ salary: 250000, filing: 'single', taxYear: 2025 });
+  approxEqual(r.federalDeduction.salt, r.state.tax + r.nyRecapture + r.city.tax, 0.01, 'salt');
+  assert.strictEqual(r.federalDeduction.method, 'itemized');
+});
+
+test('calcSaltCap: 2024 flat $10K, 2025 phases down to the floor', function () {
+  assert.strictEqual(T.calcSaltCap(T.TAX_YEARS[2024].constants, 'single', 2000000), 10000);
+  assert.strictEqual(T.calcSaltCap(T.TAX_YEARS[2024].constants, 'marriedSeparate', 100000), 5000);
+  var c = T.TAX_YEARS[2025].constants;
+  assert.strictEqual(T.calcSaltCap(c, 'married', 400000), 40000);
+  approxEqual(T.calcSaltCap(c, 'single', 550000), 25000, 0.01, 'phase-down');
+  assert.strictEqual(T.calcSaltCap(c, 'single', 700000), 10000);
+  assert.strictEqual(T.calcSaltCap(c, 'marriedSeparate', 200000), 20000);
+});
+
+test('Itemized: medical expenses only count above 7.5% of AGI', function () {
+  var r = T.computeTaxes({ salary: 100000, medicalExpenses: 30000, filing: 'single' });
+  approxEqual(r.federalDeduction.itemized, 30000 - 7500 + r.federalDeduction.salt, 0.01, 'medical');
+});
+
+test('calcNyItemizedLimit: high-income reductions', function () {
+  var c = T.CONSTANTS;
+  assert.strictEqual(T.calcNyItemizedLimit(90000, 40000, 0, c, 'single'), 40000);
+  approxEqual(T.calcNyItemizedLimit(125000, 40000, 0, c, 'single'), 35000, 0.01, 'half phased');
+  approxEqual(T.calcNyItemizedLimit(125000, 40000, 0, c, 'married'), 40000, 0.01, 'joint threshold');
+  approxEqual(T.calcNyItemizedLimit(300000, 40000, 0, c, 'single'), 30000, 0.01, '25%');
+  approxEqual(T.calcNyItemizedLimit(600000, 40000, 0, c, 'single'), 20000, 0.01, '50%');
+  approxEqual(T.calcNyItemizedLimit(2000000, 40000, 10000, c, 'single'), 5000, 0.01, 'charity only');
+  approxEqual(T.calcNyItemizedLimit(12000000, 40000, 10000, c, 'single'), 2500, 0.01, 'over $10M');
+});
+
+test('Itemized: NY has no SALT cap but excludes income taxes', function () {
+  var r = T.computeTaxes({ salary: 200000, saltPaid: 20000, mortgageInterest: 5000, filing: 'single' });
+  assert.strictEqual(r.nyDeduction.method, 'itemized');
+  approxEqual(r.nyDeduction.amount, 25000 * 0.75, 0.01, 'NY itemized');
+  approxEqual(r.stateTaxableIncome, r.nyAgi - 18750, 0.01, 'state taxable');
+  approxEqual(r.cityTaxableIncome, r.stateTaxableIncome, 0.01, 'NYC follows NY');
+  assert.strictEqual(r.federalDeduction.amount, 15000);
+});
+
+test('Itemized: SALT is added back for AMT', function () {
+  var r = T.computeTaxes({ salary: 240000, mortgageInterest: 20000, isoBargainElement: 100000, filing: 'single' });
+  assert.strictEqual(r.amt.amti, r.federalAgi - 20000 + 100000);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Jurisdictions ===');
+// ─────────────────────────────────────────────────────────────
+
+test('Jurisdictions: NYC is the default residence', function () {
+  var r = T.computeTaxes({ salary: 200000, filing: 'single' });
+  var nyc = T.computeTaxes({ salary: 200000, filing: 'single', residence: 'nyc' });
+  assert.strictEqual(r.residence, 'nyc');
+  assert.strictEqual(r.totalTax, nyc.totalTax);
+  assert.strictEqual(r.homeState.tax, 0);
+});
+
+test('Jurisdictions: unknown residence throws', function () {
+  assert.throws(function () {
+    T.computeTaxes({ salary: 100000, residence: 'pa' });
+  }, /Unsupported residence/);
+});
+
+test('Jurisdictions: NY residents outside NYC pay no city tax', function () {
+  var nyc = T.computeTaxes({ salary: 200000, filing: 'single' });
+  var r = T.computeTaxes({ salary: 200000, filing: 'single', residence: 'nyOther' });
+  assert.strictEqual(r.city.tax, 0);
+  assert.strictEqual(r.cityTaxableIncome, 0);
+  approxEqual(r.state.tax, nyc.state.tax, 0.01, 'same NY tax');
+});
+
+test('Jurisdictions: Yonkers surcharge is 16.75% of NY tax', function () {
+  var r = T.computeTaxes({ salary: 200000, filing: 'single', residence: 'yonkers' });
+  approxEqual(r.city.tax, (r.state.tax + r.nyRecapture) * 0.1675, 0.01, 'surcharge');
+});
+
+test('Jurisdictions: commuters pay NY tax on the NY-source share', function () {
+  var inputs = { salary: 200000, longTermGains: 50000, filing: 'single' };
+  var resident = T.computeTaxes(Object.assign({ residence: 'nyOther' }, inputs));
+  var nj = T.computeTaxes(Object.assign({ residence: 'nj' }, inputs));
+  approxEqual(nj.nySourceRatio, 200000 / 250000, 0.0001, 'income percentage');
+  approxEqual(nj.state.tax, resident.state.tax * 0.8, 0.01, 'prorated');
+  approxEqual(nj.nyRecapture, resident.nyRecapture * 0.8, 0.01, 'recapture prorated');
+  assert.strictEqual(nj.city.tax, 0);
+});
+
+test('Jurisdictions: NJ tax uses NJ wages and the NJ schedule', function () {
+  var r = T.computeTaxes({ salary: 100000, insurance: 5000, retirement: 10000, filing: 'single', residence: 'nj' });
+  // NJ excludes 401(k) but not Section 125 health premiums; $1,000 exemption
+  var expected = T.calcBrackets(100000 - 10000 - 1000, [
+    [20000, 0.014], [15000, 0.0175], [5000, 0.035], [35000, 0.05525], [425000, 0.0637],
+  ]).tax;
+  approxEqual(r.homeState.tax, expected, 0.01, 'NJ tax');
+});
+
+test('Jurisdictions: credit for tax paid to NY is capped at the NY tax', function () {
+  var r = T.computeTaxes({ salary: 800000, filing: 'single', residence: 'nj' });
+  assert.ok(r.homeState.tax > r.state.tax + r.nyRecapture, 'NJ tax exceeds NY tax');
+  approxEqual(r.homeState.credit, r.state.tax + r.nyRecapture, 0.01, 'capped at NY');
+  approxEqual(r.homeState.net, r.homeState.tax - r.homeState.credit, 0.01, 'net');
+});
+
+test('Jurisdictions: credit only covers the NY-source share of home tax', function () {
+  var r = T.computeTaxes({ salary: 60000, interest: 60000, filing: 'single', residence: 'ct' });
+  approxEqual(r.homeState.credit, Math.min(r.state.tax + r.nyRecapture, r.homeState.tax * 0.5), 0.01, 'credit');
+  assert.ok(r.homeState.net > 0);
+});
+
+test('calcCtTax: high earners pay the top rate on all income', function () {
+  var year = T.getTaxYear(2024);
+  approxEqual(T.calcCtTax(600000, year, 'single').tax, 600000 * 0.0699, 0.01, 'flat');
+  approxEqual(T.calcCtTax(150000, year, 'single').tax,
+    T.calcBrackets(150000, year.ct.single).tax, 0.01, 'schedule');
+});
+
+test('Jurisdictions: commuter home-state tax goes through withholding as a balance due', function () {
+  var w = T.computeWithholding({ salary: 150000, filing: 'single', residence: 'ct' });
+  assert.strictEqual(w.withheld.city, 0);
+  approxEqual(w.liability.state, w.taxes.state.tax + w.taxes.nyRecapture + w.taxes.homeState.net, 0.01, 'liability');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Part-Year Residency ===');
+// ─────────────────────────────────────────────────────────────
+
+test('getResidencyPeriod: full year by default', function () {
+  var r = T.getResidencyPeriod(2025);
+  assert.strictEqual(r.days, 365);
+  assert.strictEqual(r.fraction, 1);
+  assert.strictEqual(r.partYear, false);
+});
+
+test('getResidencyPeriod: move-in and move-out dates', function () {
+  var r = T.getResidencyPeriod(2024, '2024-07-01');
+  assert.strictEqual(r.start, '2024-07-01');
+  assert.strictEqual(r.days, 184);
+  approxEqual(r.fraction, 184 / 366, 0.0001, 'fraction');
+  var out = T.getResidencyPeriod(2025, null, '2025-04-01');
+  assert.strictEqual(out.end, '2025-03-31');
+  assert.strictEqual(out.days, 90);
+  assert.throws(function () { T.getResidencyPeriod(2025, '2025-06-01', '2025-05-01'); }, /No residence/);
+});
+
+test('Part-year: NY tax is the full-year tax times the NY-source share', function () {
+  var inputs = { salary: 100000, priorStateIncome: 90000, filing: 'single' };
+  var full = T.computeTaxes(inputs);
+  var r = T.computeTaxes(Object.assign({ moveInDate: '2024-07-01' }, inputs));
+  approxEqual(r.nySourceRatio, 100000 / 190000, 0.0001, 'ratio');
+  approxEqual(r.state.tax, full.state.tax * r.nySourceRatio, 0.01, 'NY');
+  approxEqual(r.city.tax, full.city.tax * r.nySourceRatio, 0.01, 'NYC');
+  approxEqual(r.federal.tax, full.federal.tax, 0.01, 'federal unchanged');
+});
+
+test('Part-year: investment income is NY-source only while resident', function () {
+  var r = T.computeTaxes({ salary: 100000, interest: 20000, moveInDate: '2025-07-02', filing: 'single', taxYear: 2025 });
+  approxEqual(r.nySourceRatio, (100000 + 20000 * 183 / 365) / 120000, 0.0001, 'ratio');
+});
+
+test('Part-year: prior-state wages count for federal tax and FICA', function () {
+  var r = T.computeTaxes({ salary: 100000, priorStateIncome: 90000, moveInDate: '2024-07-01', filing: 'single' });
+  assert.strictEqual(r.gross, 190000);
+  approxEqual(r.ssTax, 168600 * 0.062, 0.01, 'SS capped across both jobs');
+});
+
+test('Part-year: periods split taxes by residence', function () {
+  var r = T.computeTaxes({ salary: 100000, priorStateIncome: 90000, moveInDate: '2024-07-01', filing: 'single' });
+  assert.strictEqual(r.periods.length, 2);
+  assert.strictEqual(r.periods[0].label, 'Before move-in');
+  assert.strictEqual(r.periods[0].end, '2024-06-30');
+  assert.strictEqual(r.periods[0].state, 0);
+  approxEqual(r.periods[0].income, 90000, 0.01, 'prior income');
+  approxEqual(r.periods[1].state, r.state.tax + r.nyRecapture, 0.01, 'NY in resident period');
+  approxEqual(r.periods[0].federal + r.periods[1].federal, r.federal.tax, 0.01, 'federal split');
+});
+
+test('Part-year: move-out adds a trailing period', function () {
+  var r = T.computeTaxes({ salary: 100000, moveOutDate: '2024-10-01', filing: 'single' });
+  assert.strictEqual(r.periods.length, 2);
+  assert.strictEqual(r.periods[1].label, 'After move-out');
+  assert.strictEqual(r.periods[1].start, '2024-10-01');
+});
+
+test('Part-year: spending only covers the months lived in NYC', function () {
+  var spending = { monthly: { rent: 4000 } };
+  var b = T.computeBudget({ salary: 100000, moveInDate: '2024-07-01', filing: 'single' }, spending);
+  approxEqual(b.spending.totalAnnual, 48000 * 184 / 366, 0.01, 'prorated');
+  var full = T.computeBudget({ salary: 100000, filing: 'single' }, spending);
+  assert.strictEqual(full.spending.totalAnnual, 48000);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== City Profiles ===');
+// ─────────────────────────────────────────────────────────────
+
+test('City profiles: every profile has a known residence', function () {
+  for (var key in T.CITY_PROFILES) {
+    assert.ok(T.JURISDICTIONS[T.CITY_PROFILES[key].residence], key);
+  }
+});
+
+test('California: CA brackets, SDI and no NY tax', function () {
+  var r = T.computeTaxes({ salary: 200000, hsa: 4000, filing: 'single', residence: 'ca' });
+  assert.strictEqual(r.state.tax, 0);
+  assert.strictEqual(r.nyRecapture, 0);
+  assert.strictEqual(r.city.tax, 0);
+  // CA does not exclude HSA contributions
+  approxEqual(r.homeState.tax, T.calcBrackets(200000 - 5540, T.TAX_YEARS[2024].ca.single).tax, 0.01, 'CA tax');
+  approxEqual(r.homeState.payroll, r.ficaWages * 0.011, 0.01, 'SDI');
+  assert.strictEqual(r.homeState.credit, 0);
+});
+
+test('California: income over $1M pays the mental health surcharge', function () {
+  var r = T.computeTaxes({ salary: 2000000, filing: 'married', residence: 'ca' });
+  assert.strictEqual(r.homeState.topRate, 0.133);
+});
+
+test('Washington: no income tax, capital gains tax over the deduction', function () {
+  var r = T.computeTaxes({ salary: 300000, longTermGains: 370000, filing: 'single', residence: 'wa' });
+  approxEqual(r.homeState.tax, 100000 * 0.07, 0.01, 'WA capital gains');
+  approxEqual(r.homeState.payroll, 300000 * 0.0058, 0.01, 'WA Cares');
+  var wages = T.computeTaxes({ salary: 300000, filing: 'single', residence: 'wa' });
+  assert.strictEqual(wages.homeState.tax, 0);
+});
+
+test('calcWaCapitalGainsTax: 9.9% over $1M from 2025', function () {
+  var c = T.TAX_YEARS[2025].constants;
+  approxEqual(T.calcWaCapitalGainsTax(2278000, c).tax, 1000000 * 0.07 + 1000000 * 0.099, 0.01, 'tiers');
+});
+
+test('Texas: only federal tax and FICA', function () {
+  var r = T.computeTaxes({ salary: 200000, filing: 'single', residence: 'tx' });
+  approxEqual(r.totalTax, r.federal.tax + r.ssTax + r.medicareTax, 0.01, 'total');
+});
+
+test('City jobs: withholding follows the work state', function () {
+  var tx = T.computeWithholding({ salary: 200000, bonus: 20000, filing: 'single', residence: 'tx' });
+  assert.strictEqual(tx.withheld.state, 0);
+  var ca = T.computeWithholding({ salary: 200000, bonus: 20000, filing: 'single', residence: 'ca' });
+  assert.ok(ca.withheld.state > ca.taxes.homeState.payroll);
+  approxEqual(ca.liability.state, ca.taxes.homeState.tax + ca.taxes.homeState.payroll, 0.01, 'CA liability');
+});
+
+test('findSalaryForTakeHome: inverts computeTaxes', function () {
+  var inputs = { salary: 150000, retirement: 23000, filing: 'single' };
+  var target = T.computeTaxes(inputs).takeHome;
+  approxEqual(T.findSalaryForTakeHome(inputs, target), 150000, 0.01, 'round trip');
+  assert.strictEqual(T.findSalaryForTakeHome({ salary: 150000, filing: 'single' }, -1), 0);
+});
+
+test('computeCityComparison: prices the same lifestyle in each city', function () {
+  var spending = { housing: 48000, food: 15000, travel: 10000 };
+  var c = T.computeCityComparison({ salary: 250000, filing: 'single' }, spending);
+  assert.deepStrictEqual(Object.keys(c), Object.keys(T.CITY_PROFILES));
+  assert.strictEqual(c.nyc.spending, 73000);
+  approxEqual(c.nyc.equivalentNycSalary, 250000, 0.01, 'NYC is its own equivalent');
+  approxEqual(c.austin.spending, 48000 * 0.5 + 15000 * 0.8 + 10000, 0.01, 'Austin');
+  approxEqual(c.austin.savings, c.austin.takeHome - c.austin.spending, 0.01, 'savings');
+  assert.ok(c.austin.equivalentNycSalary > 250000, 'Austin offer is worth more in NYC terms');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Self-Employment ===');
+// ─────────────────────────────────────────────────────────────
+
+test('calcSelfEmploymentTax: 15.3% of 92.35% of net profit', function () {
+  var se = T.calcSelfEmploymentTax(100000, 0, T.CONSTANTS);
+  assert.strictEqual(se.earnings, 92350);
+  approxEqual(se.tax, 92350 * 0.153, 0.01, 'SE tax');
+  approxEqual(se.deduction, se.tax / 2, 0.01, 'half deductible');
+  assert.strictEqual(T.calcSelfEmploymentTax(400, 0, T.CONSTANTS).tax, 0);
+});
+
+test('calcSelfEmploymentTax: W-2 wages use up the Social Security base first', function () {
+  var se = T.calcSelfEmploymentTax(100000, 150000, T.CONSTANTS);
+  approxEqual(se.socialSecurity, (168600 - 150000) * 0.124, 0.01, 'remaining base');
+  approxEqual(se.medicare, 92350 * 0.029, 0.01, 'Medicare uncapped');
+  assert.strictEqual(T.calcSelfEmploymentTax(100000, 200000, T.CONSTANTS).socialSecurity, 0);
+});
+
+test('computeTaxes: net profit is in AGI less half of SE tax', function () {
+  var r = T.computeTaxes({ selfEmploymentIncome: 120000, businessExpenses: 20000, filing: 'single' });
+  assert.strictEqual(r.selfEmployment.netProfit, 100000);
+  assert.strictEqual(r.gross, 100000);
+  approxEqual(r.federalAgi, 100000 - r.selfEmployment.deduction, 0.01, 'federal AGI');
+  approxEqual(r.nyAgi, r.federalAgi, 0.01, 'NY AGI');
+  approxEqual(r.totalTax - r.selfEmployment.tax,
+    r.federal.tax + r.capitalGains.tax + r.state.tax + r.nyRecapture + r.city.tax, 0.01, 'SE tax in total');
+});
+
+test('computeTaxes: Additional Medicare counts wages plus SE earnings', function () {
+  var r = T.computeTaxes({ salary: 180000, selfEmploymentIncome: 100000, filing: 'single' });
+  approxEqual(r.medicareTax, 180000 * 0.0145 + (180000 + 92350 - 200000) * 0.009, 0.01, 'Medicare');
+});
+
+test('calcSeRetirementLimit: SEP is 20% of net earnings after half SE tax', function () {
+  var se = T.calcSelfEmploymentTax(100000, 0, T.CONSTANTS);
+  approxEqual(T.calcSeRetirementLimit('sep', 100000, se.deduction, 0, T.CONSTANTS),
+    (100000 - se.deduction) * 0.2, 0.01, 'SEP');
+  assert.strictEqual(T.calcSeRetirementLimit('sep', 1000000, 0, 0, T.CONSTANTS), 69000);
+  assert.throws(function () {
+    T.calcSeRetirementLimit('ira', 100000, 0, 0, T.CONSTANTS);
+  }, /Unsupported retirement plan/);
+});
+
+test('calcSeRetirementLimit: Solo 401(k) deferral shares the W-2 401(k) limit', function () {
+  var solo = T.calcSeRetirementLimit('solo401k', 100000, 0, 0, T.CONSTANTS);
+  assert.strictEqual(solo, 20000 + 23000);
+  assert.strictEqual(T.calcSeRetirementLimit('solo401k', 100000, 0, 23000, T.CONSTANTS), 20000);
+  assert.strictEqual(T.calcSeRetirementLimit('solo401k', 10000, 0, 0, T.CONSTANTS), 10000);
+});
+
+test('computeTaxes: SE retirement contributions are capped and cut AGI', function () {
+  var inputs = { selfEmploymentIncome: 100000, filing: 'single' };
+  var none = T.computeTaxes(inputs);
+  var r = T.computeTaxes(Object.assign({ seRetirement: 50000 }, inputs));
+  assert.strictEqual(r.selfEmployment.retirement, r.selfEmployment.retirementLimit);
+  approxEqual(none.federalAgi - r.federalAgi, r.selfEmployment.retirement, 0.01, 'AGI');
+  approxEqual(r.totalPreTax, r.selfEmployment.retirement, 0.01, 'pre-tax');
+});
+
+test('calcQbiDeduction: 20% of QBI, limited by taxable income', function () {
+  assert.strictEqual(T.calcQbiDeduction(100000, 150000, 0, T.CONSTANTS, 'single'), 20000);
+  assert.strictEqual(T.calcQbiDeduction(100000, 60000, 0, T.CONSTANTS, 'single'), 12000);
+  assert.strictEqual(T.calcQbiDeduction(100000, 150000, 100000, T.CONSTANTS, 'single'), 10000);
+  assert.strictEqual(T.calcQbiDeduction(-5000, 150000, 0, T.CONSTANTS, 'single'), 0);
+});
+
+test('calcQbiDeduction: phases out above the threshold', function () {
+  approxEqual(T.calcQbiDeduction(100000, 191950 + 25000, 0, T.CONSTANTS, 'single'), 10000, 0.01, 'half');
+  assert.strictEqual(T.calcQbiDeduction(100000, 191950 + 50000, 0, T.CONSTANTS, 'single'), 0);
+  approxEqual(T.calcQbiDeduction(100000, 383900 + 50000, 0, T.CONSTANTS, 'married'), 10000, 0.01, 'married');
+  var c2026 = T.getTaxYear(2026).constants;
+  approxEqual(T.calcQbiDeduction(100000, 201750 + 37500, 0, c2026, 'single'), 10000, 0.01, '2026 range');
+});
+
+test('computeTaxes: QBI deduction reduces federal taxable income only', function () {
+  var r = T.computeTaxes({ selfEmploymentIncome: 100000, filing: 'single' });
+  assert.ok(r.qbi.deduction > 0);
+  approxEqual(r.taxableIncome, r.federalAgi - r.federalDeduction.amount - r.qbi.deduction, 0.01, 'taxable');
+  approxEqual(r.stateTaxableIncome, r.nyAgi - r.nyDeduction.amount, 0.01, 'NY ignores QBI');
+});
+
+test('calcUbt: 4% after the allowance and exemption, with the business credit', function () {
+  var u = T.calcUbt(250000, 500000, T.CONSTANTS);
+  assert.strictEqual(u.taxable, 250000 - 10000 - 5000);
+  approxEqual(u.tax, 235000 * 0.04, 0.01, 'UBT');
+  approxEqual(u.credit, u.tax * 0.23, 0.01, '23% credit at high income');
+  assert.strictEqual(T.calcUbt(80000, 0, T.CONSTANTS).tax, 0);
+  var mid = T.calcUbt(125000, 0, T.CONSTANTS);
+  approxEqual(mid.tax, 4400 - 4400 * 1000 / 2000, 0.01, 'partial business credit');
+});
+
+test('calcUbt: resident credit slides from 100% to 23%', function () {
+  var low = T.calcUbt(250000, 42000, T.CONSTANTS);
+  assert.strictEqual(low.credit, low.tax);
+  var mid = T.calcUbt(250000, 92000, T.CONSTANTS);
+  approxEqual(mid.credit, mid.tax * (0.23 + 0.77 * 0.5), 0.01, 'halfway');
+});
+
+test('computeTaxes: UBT applies to NYC residents only', function () {
+  var inputs = { selfEmploymentIncome: 250000, filing: 'single' };
+  var nyc = T.computeTaxes(inputs);
+  assert.ok(nyc.ubt.tax > 0);
+  assert.ok(nyc.ubt.credit > 0 && nyc.ubt.credit <= nyc.city.tax);
+  var nyOther = T.computeTaxes(Object.assign({ residence: 'nyOther' }, inputs));
+  assert.strictEqual(nyOther.ubt.tax, 0);
+  var w = T.computeWithholding(inputs);
+  approxEqual(w.liability.city, nyc.city.tax + nyc.ubt.tax - nyc.ubt.credit, 0.01, 'city liability');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Dependents ===');
+// ─────────────────────────────────────────────────────────────
+
+test('calcChildTaxCredit: $2,000 per child under 17, $500 for other dependents', function () {
+  var ctc = T.calcChildTaxCredit([{ age: 3 }, { age: 16 }, { age: 17 }], 150000, 150000, 20000,
+    T.CONSTANTS, 'single');
+  assert.strictEqual(ctc.children, 2);
+  assert.strictEqual(ctc.otherDependents, 1);
+  assert.strictEqual(ctc.total, 4500);
+  assert.strictEqual(ctc.nonrefundable, 4500);
+  assert.strictEqual(ctc.refundable, 0);
+  assert.strictEqual(T.calcChildTaxCredit([{ age: 3 }], 100000, 100000, 20000,
+    T.getTaxYear(2025).constants, 'single').total, 2200);
+});
+
+test('calcChildTaxCredit: $50 per $1,000 (or part) of MAGI over the threshold', function () {
+  var c = T.CONSTANTS;
+  assert.strictEqual(T.calcChildTaxCredit([{ age: 5 }], 210000, 0, 50000, c, 'single').total, 1500);
+  assert.strictEqual(T.calcChildTaxCredit([{ age: 5 }], 200001, 0, 50000, c, 'single').total, 1950);
+  assert.strictEqual(T.calcChildTaxCredit([{ age: 5 }], 410000, 0, 50000, c, 'married').total, 1500);
+  assert.strictEqual(T.calcChildTaxCredit([{ age: 5 }], 300000, 0, 50000, c, 'single').total, 0);
+});
+
+test('calcChildTaxCredit: refundable part is capped per child and by earned income', function () {
+  var c = T.CONSTANTS;
+  var ctc = T.calcChildTaxCredit([{ age: 5 }, { age: 8 }], 30000, 30000, 500, c, 'headOfHousehold');
+  assert.strictEqual(ctc.nonrefundable, 500);
+  assert.strictEqual(ctc.refundable, 3400);
+  var low = T.calcChildTaxCredit([{ age: 5 }], 10000, 10000, 0, c, 'single');
+  approxEqual(low.refundable, (10000 - 2500) * 0.15, 0.01, '15% of earnings over $2,500');
+});
+
+test('calcDependentCareCredit: expense limits, FSA offset and rate', function () {
+  var c = T.CONSTANTS;
+  var one = T.calcDependentCareCredit(20000, 1, 200000, 100000, 0, c, 'married');
+  assert.strictEqual(one.expenses, 3000);
+  approxEqual(one.credit, 600, 0.01, '20% at high AGI');
+  assert.strictEqual(T.calcDependentCareCredit(20000, 2, 200000, 100000, 0, c, 'married').expenses, 6000);
+  assert.strictEqual(T.calcDependentCareCredit(20000, 2, 200000, 100000, 5000, c, 'married').expenses, 1000);
+  assert.strictEqual(T.calcDependentCareCredit(20000, 2, 200000, 0, 0, c, 'married').credit, 0);
+  assert.strictEqual(T.calcDependentCareCredit(20000, 2, 200000, 100000, 0, c, 'marriedSeparate').credit, 0);
+  approxEqual(T.calcDependentCareCredit(3000, 1, 15000, 15000, 0, c, 'single').rate, 0.35, 1e-9, 'max');
+  approxEqual(T.calcDependentCareCredit(3000, 1, 20000, 20000, 0, c, 'single').rate, 0.32, 1e-9, 'stepped');
+});
+
+test('calcDependentCareCredit: 2026 rates step down twice', function () {
+  var c = T.getTaxYear(2026).constants;
+  approxEqual(T.calcDependentCareCredit(3000, 1, 15000, 15000, 0, c, 'single').rate, 0.5, 1e-9, 'max');
+  approxEqual(T.calcDependentCareCredit(3000, 1, 70000, 70000, 0, c, 'single').rate, 0.35, 1e-9, 'mid');
+  approxEqual(T.calcDependentCareCredit(3000, 1, 85000, 85000, 0, c, 'single').rate, 0.30, 1e-9, 'second');
+  approxEqual(T.calcDependentCareCredit(3000, 1, 170000, 170000, 0, c, 'married').rate, 0.30, 1e-9, 'joint');
+  approxEqual(T.calcDependentCareCredit(3000, 1, 400000, 400000, 0, c, 'married').rate, 0.2, 1e-9, 'min');
+});
+
+test('calcEmpireStateChildCredit: 33% of the old federal credit or the minimum', function () {
+  var c = T.CONSTANTS;
+  assert.strictEqual(T.calcEmpireStateChildCredit([{ age: 6 }], 50000, c, 'single'), 330);
+  assert.strictEqual(T.calcEmpireStateChildCredit([{ age: 2 }], 50000, c, 'single'), 330);
+  approxEqual(T.calcEmpireStateChildCredit([{ age: 2 }], 85000, c, 'single'), 500 * 0.33, 0.01, 'under 4, phased');
+  approxEqual(T.calcEmpireStateChildCredit([{ age: 6 }, { age: 9 }], 85000, c, 'single'),
+    (2000 - 500) * 0.33, 0.01, 'phased');
+  var c2026 = T.getTaxYear(2026).constants;
+  assert.strictEqual(T.calcEmpireStateChildCredit([{ age: 2 }, { age: 6 }], 50000, c2026, 'single'), 1500);
+});
+
+test('calcEmpireStateChildCredit: 2025 minimums phase down past the threshold', function () {
+  var kids = [{ age: 2 }, { age: 6 }];
+  var c2025 = T.getTaxYear(2025).constants;
+  assert.strictEqual(T.calcEmpireStateChildCredit(kids, 50000, c2025, 'single'), 1330);
+  var c2026 = T.getTaxYear(2026).constants;
+  assert.strictEqual(T.calcEmpireStateChildCredit(kids, 110000, c2026, 'married'), 1500);
+  approxEqual(T.calcEmpireStateChildCredit(kids, 110001, c2026, 'married'), 1500 - 16.5, 0.01, 'threshold + $1');
+  approxEqual(T.calcEmpireStateChildCredit(kids, 150000, c2026, 'married'), 1500 - 40 * 16.5, 0.01, 'phasing');
+  assert.strictEqual(T.calcEmpireStateChildCredit(kids, 300000, c2026, 'married'), 0);
+  var inputs = { salary: 110000, filing: 'married', taxYear: 2026, dependents: kids };
+  var raised = T.computeTaxes(Object.assign({}, inputs, { salary: 110500 }));
+  assert.ok(raised.takeHome > T.computeTaxes(inputs).takeHome, 'a raise past the threshold pays');
+});
+
+test('calcNyChildCareCredit: NY share by AGI and the NYC credit', function () {
+  var low = T.calcNyChildCareCredit(1000, 1, 20000, 20000, T.CONSTANTS);
+  approxEqual(low.state, 1100, 0.01, '110%');
+  approxEqual(low.city, 825, 0.01, '75% of NY');
+  var mid = T.calcNyChildCareCredit(1000, 0.5, 57500, 27500, T.CONSTANTS);
+  approxEqual(mid.state, 600, 0.01, 'between 100% and 20%');
+  approxEqual(mid.city, 600 * 0.5 * 0.75 * 0.5, 0.01, 'NYC phasing out');
+  assert.strictEqual(T.calcNyChildCareCredit(1000, 1, 200000, 200000, T.CONSTANTS).city, 0);
+});
+
+test('computeTaxes: dependent credits reduce tax and Dependent Care FSA is pre-tax', function () {
+  var inputs = { salary: 150000, filing: 'married', spouse: { salary: 60000 } };
+  var none = T.computeTaxes(inputs);
+  var kids = T.computeTaxes(Object.assign({
+    dependents: [{ age: 2 }, { age: 7 }], childcareExpenses: 42000, dependentCareFsa: 5000,
+  }, inputs));
+  assert.strictEqual(kids.dependentCareFsa, 5000);
+  approxEqual(none.federalAgi - kids.federalAgi, 5000, 0.01, 'FSA excluded');
+  assert.strictEqual(kids.credits.childTaxCredit.total, 4000);
+  assert.strictEqual(kids.credits.dependentCare.expenses, 1000);
+  assert.ok(kids.credits.state > 0, 'NY child care credit');
+  var w = T.computeWithholding(Object.assign({ dependents: [{ age: 2 }] }, inputs));
+  approxEqual(w.liability.federal, w.taxes.federal.tax + w.taxes.capitalGains.tax + w.taxes.niit -
+    w.taxes.credits.federal, 0.01, 'credits in federal liability');
+});
+
+test('computeTaxes: Dependent Care FSA over the limit is taxable wages', function () {
+  var inputs = { salary: 150000, filing: 'marriedSeparate', dependents: [{ age: 2 }], childcareExpenses: 20000 };
+  var none = T.computeTaxes(inputs);
+  var over = T.computeTaxes(Object.assign({ dependentCareFsa: 5000 }, inputs));
+  assert.strictEqual(over.dependentCareExcluded, 2500);
+  approxEqual(none.federalAgi - over.federalAgi, 2500, 0.01, 'federal');
+  approxEqual(none.nyAgi - over.nyAgi, 2500, 0.01, 'NY');
+  approxEqual(none.ficaWages - over.ficaWages, 2500, 0.01, 'FICA');
+  approxEqual(none.takeHome - over.takeHome, 5000 - (none.totalTax - over.totalTax), 0.01, 'whole FSA leaves pay');
+  var w = T.computeWithholding(Object.assign({ dependentCareFsa: 5000 }, inputs));
+  var atLimit = T.computeWithholding(Object.assign({ dependentCareFsa: 2500 }, inputs));
+  approxEqual(w.withheld.federal, atLimit.withheld.federal, 0.01, 'withholding on the excess');
+  var married = T.computeTaxes({ salary: 150000, filing: 'married', taxYear: 2026, dependentCareFsa: 9000 });
+  assert.strictEqual(married.dependentCareExcluded, 7500);
+});
+
+test('computeTaxes: NY child credits only for NY residents', function () {
+  var inputs = { salary: 60000, filing: 'headOfHousehold', dependents: [{ age: 2 }, { age: 6 }],
+    childcareExpenses: 20000 };
+  var nyc = T.computeTaxes(inputs);
+  var nj = T.computeTaxes(Object.assign({ residence: 'nj' }, inputs));
+  assert.ok(nyc.credits.empireState > 0 && nyc.credits.nyChildCare > 0);
+  assert.strictEqual(nj.credits.state, 0);
+  assert.strictEqual(nj.credits.local, 0);
+  approxEqual(nj.credits.federal, nyc.credits.federal, 0.01, 'same federal credits');
+});
+
+test('computeChildCosts: priced per child by age band', function () {
+  var costs = T.computeChildCosts([{ age: 2 }, { age: 8 }, { age: 15 }, { age: 20 }]);
+  assert.strictEqual(costs.care, 30000 + 12000);
+  assert.strictEqual(costs.other, 8000 + 10000 + 14000);
+  assert.strictEqual(costs.total, costs.care + costs.other);
+  assert.strictEqual(T.computeChildCosts([{ age: 2 }], 0.5).total, 19000);
+});
+
+test('computeSliderAmount: Childcare & Kids scales the per-child model', function () {
+  var kids = [{ age: 2 }];
+  var mid = T.computeSliderAmount('kids', 50, 200000, kids);
+  assert.strictEqual(mid.annualAmount, 38000);
+  approxEqual(mid.percentage, 0.19, 1e-9, 'share of gross');
+  assert.strictEqual(T.computeSliderAmount('kids', 0, 200000, kids).annualAmount, 19000);
+  assert.strictEqual(T.computeSliderAmount('kids', 100, 200000, kids).annualAmount, 57000);
+  assert.strictEqual(T.computeSliderAmount('kids', 50, 200000).annualAmount, 0);
+  assert.strictEqual(T.percentageToSlider('kids', 0.1), 50);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Estimated Payments ===');
+// ─────────────────────────────────────────────────────────────
+
+test('computeEstimatedPayments: due dates move off weekends', function () {
+  var p = T.computeEstimatedPayments({ salary: 100000, filing: 'single' });
+  assert.deepStrictEqual(p.dueDates, ['2024-04-15', '2024-06-17', '2024-09-16', '2025-01-15']);
+  assert.strictEqual(p.filingDate, '2025-04-15');
+  var p2025 = T.computeEstimatedPayments({ salary: 100000, filing: 'single', taxYear: 2025 });
+  assert.deepStrictEqual(p2025.dueDates, ['2025-04-15', '2025-06-16', '2025-09-15', '2026-01-15']);
+});
+
+test('computeEstimatedPayments: nothing due when withholding covers the tax', function () {
+  var p = T.computeEstimatedPayments({ salary: 150000, filing: 'single' });
+  assert.strictEqual(p.federal.total, 0);
+  assert.strictEqual(p.ny.total, 0);
+  assert.strictEqual(p.federal.penaltyIfSkipped, 0);
+});
+
+test('computeEstimatedPayments: 90% of current-year tax without prior-year figures', function () {
+  var p = T.computeEstimatedPayments({ salary: 200000, longTermGains: 300000, filing: 'single' });
+  var f = p.federal;
+  approxEqual(f.requiredAnnualPayment, f.liability * 0.9, 0.01, '90%');
+  assert.strictEqual(f.priorYearSafeHarbor, null);
+  approxEqual(f.total, f.requiredAnnualPayment - f.withheld, 0.01, 'total');
+  f.installments.forEach(function (i) { approxEqual(i.amount, f.total / 4, 0.01, 'equal'); });
+  assert.ok(f.penaltyIfSkipped > 0);
+  assert.ok(p.ny.total > 0, 'NY installments');
+});
+
+test('computeEstimatedPayments: fully withheld FICA does not cover income tax', function () {
+  var inputs = { salary: 200000, rsuIncome: 400000, filing: 'single' };
+  var p = T.computeEstimatedPayments(inputs);
+  var w = T.computeWithholding(inputs);
+  approxEqual(p.federal.liability, w.liability.federal + Math.max(0, w.balance.medicare), 0.01, 'income tax');
+  approxEqual(p.federal.withheld, w.withheld.federal, 0.01, 'income-tax withholding only');
+  approxEqual(p.federal.total, 0.9 * p.federal.liability - w.withheld.federal, 0.01, 'total');
+  assert.ok(p.federal.total > 32000, 'not shrunk by FICA: ' + Math.round(p.federal.total));
+});
+
+test('computeEstimatedPayments: prior-year safe harbor is 110% over $150K AGI', function () {
+  var inputs = { salary: 200000, longTermGains: 300000, filing: 'single' };
+  var high = T.computeEstimatedPayments(inputs, { priorYearFederalTax: 60000, priorYearAgi: 400000 });
+  approxEqual(high.federal.priorYearSafeHarbor, 66000, 0.01, '110%');
+  approxEqual(high.federal.requiredAnnualPayment, 66000, 0.01, 'smaller harbor');
+  var low = T.computeEstimatedPayments(inputs, { priorYearFederalTax: 60000, priorYearAgi: 140000 });
+  approxEqual(low.federal.priorYearSafeHarbor, 60000, 0.01, '100%');
+  var zero = T.computeEstimatedPayments(inputs, { priorYearFederalTax: 0, priorYearNyTax: 0 });
+  assert.strictEqual(zero.federal.total, 0);
+  assert.strictEqual(zero.ny.total, 0);
+});
+
+test('computeEstimatedPayments: penalty runs from each due date to April 15', function () {
+  var p = T.computeEstimatedPayments({ salary: 200000, longTermGains: 300000, filing: 'single' });
+  var days = [365, 302, 211, 90];
+  var expected = days.reduce(function (sum, d) { return sum + p.federal.total / 4 * 0.08 * d / 365; }, 0);
+  approxEqual(p.federal.penaltyIfSkipped, expected, 0.01, 'federal penalty');
+});
+
+test('computeEstimatedPayments: no NY plan where NY tax is not owed', function () {
+  var p = T.computeEstimatedPayments({ salary: 200000, longTermGains: 300000, filing: 'single', residence: 'ca' });
+  assert.strictEqual(p.ny, null);
+  assert.ok(p.federal.total > 0);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Income Attribution ===');
+// ─────────────────────────────────────────────────────────────
+
+test('computeIncomeAttribution: base and streams add up to total tax', function () {
+  var inputs = {
+    salary: 200000, bonus: 100000, rsuIncome: 50000, retirement: 23000, insurance: 3000,
+    longTermGains: 20000, filing: 'single',
+  };
+  var a = T.computeIncomeAttribution(inputs);
+  var t = T.computeTaxes(inputs);
+  approxEqual(a.totalTax, t.totalTax, 0.01, 'totalTax');
+  var sum = a.base.total;
+  for (var key in T.INCOME_STACK) sum += a.streams[key].total;
+  approxEqual(sum, t.totalTax, 0.01, 'sum of layers');
+  var s = a.streams.salary;
+  approxEqual(s.federal + s.state + s.city + s.fica, s.total, 0.01, 'components');
+  assert.strictEqual(s.preTax, 26000);
+  assert.strictEqual(a.streams.bonus.preTax, 0);
+});
+
+test('computeIncomeAttribution: bonus on top pays a higher rate than average', function () {
+  var inputs = { salary: 200000, bonus: 100000, filing: 'single' };
+  var a = T.computeIncomeAttribution(inputs);
+  var t = T.computeTaxes(inputs);
+  assert.ok(a.streams.bonus.marginalRate > t.effectiveRate, 'bonus above average');
+  assert.ok(a.streams.salary.marginalRate < t.effectiveRate, 'salary below average');
+  // Salary already fills the Social Security wage base
+  approxEqual(a.streams.bonus.fica, 100000 * 0.0145 + 100000 * 0.009, 0.01, 'Medicare only');
+  approxEqual(a.streams.bonus.takeHome, 100000 - a.streams.bonus.total, 0.01, 'takeHome');
+});
+
+test('computeIncomeAttribution: stacks spouse wages with the primary earner', function () {
+  var a = T.computeIncomeAttribution({
+    salary: 150000, bonus: 20000, filing: 'married', spouse: { salary: 100000, bonus: 30000 },
+  });
+  assert.strictEqual(a.streams.salary.amount, 250000);
+  assert.strictEqual(a.streams.bonus.amount, 50000);
+  assert.strictEqual(a.base.total, 0);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Computation Trace ===');
+// ─────────────────────────────────────────────────────────────
+
+test('calcBrackets: lists each bracket reached', function () {
+  var r = T.calcBrackets(20000, T.FEDERAL_SINGLE);
+  assert.strictEqual(r.brackets.length, 2);
+  assert.deepStrictEqual(r.brackets[0], { floor: 0, ceiling: 11600, rate: 0.10, taxable: 11600, tax: 1160 });
+  assert.strictEqual(r.brackets[1].floor, 11600);
+  assert.strictEqual(r.brackets[1].ceiling, 47150);
+  approxEqual(r.brackets[1].taxable, 8400, 0.01, 'partial bracket');
+  assert.strictEqual(T.calcBrackets(0, T.FEDERAL_SINGLE).brackets.length, 0);
+});
+
+test('calcStacked: brackets cover only the stacked slice', function () {
+  var r = T.calcStacked(50, 100, [[100, 0], [Infinity, 0.5]]);
+  assert.deepStrictEqual(r.brackets, [
+    { floor: 0, ceiling: 100, rate: 0, taxable: 50, tax: 0 },
+    { floor: 100, ceiling: Infinity, rate: 0.5, taxable: 50, tax: 25 },
+  ]);
+});
+
+test('computeTaxes: trace brackets add up to each tax line', function () {
+  var t = T.computeTaxes({
+    salary: 300000, bonus: 50000, retirement: 23000, insurance: 3000, longTermGains: 20000,
+    filing: 'married', spouse: { salary: 200000 },
+  });
+  var lines = { federal: t.federal.tax, capitalGains: t.capitalGains.tax, state: t.state.tax,
+    city: t.city.tax, socialSecurity: t.ssTax, medicare: t.medicareTax };
+  for (var key in lines) {
+    var trace = t.trace[key];
+    var sum = trace.brackets.reduce(function (s, b) { return s + b.tax; }, 0);
+    approxEqual(sum * trace.ratio, lines[key], 0.01, key);
+    approxEqual(trace.tax, lines[key], 0.01, key + ' tax');
+  }
+  assert.strictEqual(t.trace.socialSecurity.brackets.length, 2, 'per-earner SS');
+});
+
+test('computeTaxes: trace steps lead to the taxable base', function () {
+  var t = T.computeTaxes({ salary: 150000, retirement: 20000, hsa: 4000, filing: 'single' });
+  var steps = t.trace.federal.steps;
+  var agi = steps.filter(function (s) { return s.label === 'Federal AGI'; })[0];
+  assert.strictEqual(agi.amount, t.federalAgi);
+  var sum = 0;
+  for (var i = 0; steps[i] !== agi; i++) sum += steps[i].amount;
+  approxEqual(sum, t.federalAgi, 0.01, 'steps to AGI');
+  assert.strictEqual(steps[steps.length - 1].amount, t.ordinaryTaxableIncome);
+});
+
+test('computeTaxes: trace applies the NY-source share for commuters', function () {
+  var t = T.computeTaxes({ salary: 200000, longTermGains: 50000, filing: 'single', residence: 'nj' });
+  assert.ok(t.trace.state.ratio < 1);
+  assert.strictEqual(t.trace.city, null);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Rate Curve ===');
+// ─────────────────────────────────────────────────────────────
+
+test('computeRateCurve: points span the range with consistent rates', function () {
+  var c = T.computeRateCurve({ salary: 150000, filing: 'single' }, { from: 0, to: 400000, steps: 8 });
+  assert.strictEqual(c.component, 'wages');
+  assert.strictEqual(c.points.length, 9);
+  assert.strictEqual(c.points[0].amount, 0);
+  assert.strictEqual(c.points[8].amount, 400000);
+  var p = c.points[4];
+  var t = T.computeTaxes({ salary: 200000, filing: 'single' });
+  approxEqual(p.totalTax, t.totalTax, 0.01, 'totalTax');
+  approxEqual(p.takeHome, t.takeHome, 0.01, 'takeHome');
+  approxEqual(p.effectiveRate, t.effectiveRate, 1e-9, 'effectiveRate');
+  var next = T.computeTaxes({ salary: 201000, filing: 'single' });
+  approxEqual(p.marginalRate, (next.totalTax - t.totalTax) / 1000, 1e-9, 'marginalRate');
+});
+
+test('computeRateCurve: boundaries land on bracket edges', function () {
+  var c = T.computeRateCurve({ salary: 150000, filing: 'single', residence: 'tx' }, { to: 300000 });
+  var federal = c.boundaries.filter(function (b) { return b.label === 'Federal'; });
+  // 24% starts at $100,525 of taxable income, after the $14,600 standard deduction
+  var into24 = federal.filter(function (b) { return b.rate === 0.24; })[0];
+  approxEqual(into24.amount, 100525 + 14600, 1, '24% bracket');
+  var ss = c.boundaries.filter(function (b) { return b.label === 'SS wage base'; })[0];
+  approxEqual(ss.amount, 168600, 1, 'wage base');
+  for (var i = 1; i < c.boundaries.length; i++) {
+    assert.ok(c.boundaries[i].amount >= c.boundaries[i - 1].amount, 'sorted');
+  }
+});
+
+test('computeRateCurve: a step crossing several brackets reports each edge', function () {
+  var c = T.computeRateCurve({ salary: 600000, filing: 'single', residence: 'tx' }, { to: 1000000, steps: 4 });
+  var federal = c.boundaries.filter(function (b) { return b.label === 'Federal'; });
+  var year = T.getTaxYear(2024);
+  var edge = year.constants.standardDeductionSingle;
+  var brackets = year.federal.single;
+  assert.strictEqual(federal.length, brackets.length, 'one boundary per bracket');
+  for (var i = 1; i < brackets.length; i++) {
+    edge += brackets[i - 1][0];
+    approxEqual(federal[i].amount, edge, 1, 'into ' + brackets[i][1]);
+    assert.strictEqual(federal[i].rate, brackets[i][1]);
+  }
+});
+
+test('computeRateCurve: sweeping the bonus prices the next raise', function () {
+  var inputs = { salary: 200000, bonus: 40000, filing: 'single' };
+  var c = T.computeRateCurve(inputs, { component: 'bonus', steps: 4 });
+  assert.strictEqual(c.current.amount, 40000);
+  var base = T.computeTaxes(inputs).takeHome;
+  var raised = T.computeTaxes(Object.assign({}, inputs, { bonus: 50000 })).takeHome;
+  approxEqual(c.current.next[0].takeHome, raised - base, 0.01, 'next $10K');
+  assert.strictEqual(c.current.next[1].increment, 100000);
+  assert.throws(function () { T.computeRateCurve(inputs, { component: 'tips' }); }, /Unsupported income component/);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Goal Seek ===');
+// ─────────────────────────────────────────────────────────────
+
+var lowSliders = { housing: 0, food: 0, nightlife: 0, travel: 0, health: 0, shopping: 0, kids: 0 };
+
+test('computeSliderBudget: prices each category from its slider', function () {
+  var inputs = { salary: 200000, filing: 'single' };
+  var b = T.computeSliderBudget(inputs, { housing: 100 }, { food: 12000 });
+  var expected = 200000 * 0.50 + 12000;
+  for (var name in T.SLIDER_CONFIG) {
+    if (name === 'housing' || name === 'food') continue;
+    expected += T.computeSliderAmount(name, 50, 200000, []).annualAmount;
+  }
+  approxEqual(b.spending.totalAnnual, expected, 0.01, 'spending');
+  approxEqual(b.remainder, b.taxes.takeHome - expected, 0.01, 'remainder');
+});
+
+test('solveBudget: salary for a savings rate with fixed rent', function () {
+  var inputs = { salary: 150000, filing: 'single' };
+  var r = T.solveBudget(inputs, lowSliders, { solveFor: 'salary', target: 'savingsRate', value: 0.3, rent: 6000 });
+  assert.ok(r.feasible);
+  approxEqual(r.budget.savingsRate, 0.3, 1e-6, 'savings rate');
+  assert.strictEqual(r.sliderValue, null);
+  var spending = T.computeSliderBudget(inputs, lowSliders, { housing: 72000 }).spending.totalAnnual;
+  approxEqual(r.budget.spending.totalAnnual, spending, 0.01, "today's dollars");
+  var below = T.computeBudget(Object.assign({}, inputs, { salary: r.value - 100 }), { annual: { all: spending } });
+  assert.ok(below.savingsRate < 0.3, 'smallest salary that works');
+});
+
+test('solveBudget: salary holds spending that is a share of gross', function () {
+  var inputs = { salary: 200000, filing: 'single', dependents: [] };
+  var goal = { solveFor: 'salary', target: 'savingsRate', value: 0.3 };
+  var r = T.solveBudget(inputs, {}, goal);
+  assert.ok(r.feasible);
+  assert.ok(r.value > 100000 && r.value < 400000, 'salary ' + Math.round(r.value));
+  approxEqual(r.budget.savingsRate, 0.3, 1e-6, 'savings rate');
+  var rent = T.solveBudget(inputs, {}, Object.assign({ rent: 6000 }, goal));
+  assert.ok(rent.feasible && rent.value > r.value, 'rent salary ' + Math.round(rent.value));
+});
+
+test('solveBudget: most rent at a savings rate stays in the housing range', function () {
+  var inputs = { salary: 250000, filing: 'single' };
+  var r = T.solveBudget(inputs, lowSliders, { solveFor: 'rent', target: 'savingsRate', value: 0.25 });
+  assert.ok(r.feasible);
+  approxEqual(r.budget.savingsRate, 0.25, 1e-6, 'savings rate');
+  var housing = T.computeSliderAmount('housing', r.sliderValue, 250000, []).annualAmount;
+  approxEqual(r.value, housing / 12, 0.01, 'monthly rent');
+  // A modest goal lets housing run to the top of its range
+  var max = T.solveBudget(inputs, lowSliders, { solveFor: 'rent', target: 'savingsRate', value: 0 });
+  assert.strictEqual(max.sliderValue, 100);
+  approxEqual(max.value, 250000 * T.SLIDER_CONFIG.housing.maxPct / 12, 0.01, 'capped');
+});
+
+test('solveBudget: category share for a remainder target', function () {
+  var inputs = { salary: 200000, filing: 'single' };
+  var r = T.solveBudget(inputs, lowSliders, { solveFor: 'travel', target: 'remainder', value: 80000 });
+  assert.ok(r.feasible);
+  approxEqual(r.budget.remainder, 80000, 0.01, 'remainder');
+  approxEqual(r.value, T.sliderToPercentage('travel', r.sliderValue), 1e-12, 'share of gross');
+});
+
+test('solveBudget: reports unreachable goals', function () {
+  var r = T.solveBudget({ salary: 100000, filing: 'single' }, lowSliders,
+    { solveFor: 'food', target: 'savingsRate', value: 0.95 });
+  assert.strictEqual(r.feasible, false);
+  assert.strictEqual(r.sliderValue, 0);
+  assert.throws(function () {
+    T.solveBudget({ salary: 1 }, lowSliders, { solveFor: 'pets', target: 'remainder', value: 0 });
+  }, /Unsupported solve variable/);
+  assert.throws(function () {
+    T.solveBudget({ salary: 1 }, lowSliders, { solveFor: 'salary', target: 'net', value: 0 });
+  }, /Unsupported goal target/);
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Line-Item Spending ===');
+// ─────────────────────────────────────────────────────────────
+
+test('getUnmappedItems: finds preset keys no slider covers', function () {
+  var keys = T.getUnmappedItems(T.PRESETS.bigtech_senior.spending).map(function (i) { return i.key; });
+  assert.deepStrictEqual(keys.sort(), ['pet', 'streaming', 'subscriptions', 'taxpro', 'transit']);
+  keys.forEach(function (key) { assert.ok(T.SPENDING_ITEM_LABELS[key], key + ' has a label'); });
+});
+
+test('categoryItemTotal: annualizes a category or the unmapped items', function () {
+  var spending = {
+    monthly: { rent: 3000, utilities: 100, streaming: 20 },
+    daily: { coffee: 5 },
+    weekly: { transit: 30 },
+  };
+  assert.strictEqual(T.categoryItemTotal(spending, 'housing'), 3100 * 12);
+  assert.strictEqual(T.categoryItemTotal(spending, 'food'), 5 * 365);
+  assert.strictEqual(T.categoryItemTotal(spending, null), 20 * 12 + 30 * 52);
+});
+
+test('scaleCategoryItems: scales items proportionally to the new total', function () {
+  var spending = { monthly: { rent: 3000, utilities: 100, streaming: 20 }, annual: { vacations: 4000 } };
+  var scaled = T.scaleCategoryItems(spending, 'housing', 3100 * 12 * 1.5);
+  approxEqual(scaled.monthly.rent, 4500, 1e-9, 'rent');
+  approxEqual(scaled.monthly.utilities, 150, 1e-9, 'utilities');
+  assert.strictEqual(scaled.monthly.streaming, 20, 'unmapped untouched');
+  assert.strictEqual(scaled.annual.vacations, 4000, 'other category untouched');
+  assert.strictEqual(spending.monthly.rent, 3000, 'input not mutated');
+  approxEqual(T.categoryItemTotal(scaled, 'housing'), 3100 * 12 * 1.5, 1e-6, 'total');
+});
+
+test('scaleCategoryItems: splits evenly when every item is zero', function () {
+  var scaled = T.scaleCategoryItems({}, 'travel', 6000);
+  assert.strictEqual(scaled.annual.vacations, 3000);
+  assert.strictEqual(scaled.annual.flights, 3000);
+});
+
+test('scaleCategoryItems: items survive a round trip through zero', function () {
+  var spending = { monthly: { rent: 3500, utilities: 150 }, weekly: { groceries: 150 } };
+  var zeroed = T.scaleCategoryItems(spending, 'housing', 0, spending);
+  assert.strictEqual(T.categoryItemTotal(zeroed, 'housing'), 0);
+  var back = T.scaleCategoryItems(zeroed, 'housing', T.categoryItemTotal(spending, 'housing'), spending);
+  approxEqual(back.monthly.rent, 3500, 1e-9, 'rent');
+  approxEqual(back.monthly.utilities, 150, 1e-9, 'utilities');
+  assert.strictEqual(back.monthly.laundry, 0, 'empty items stay empty');
+  assert.strictEqual(back.weekly.groceries, 150, 'other category untouched');
+});
+
+test('solveBudget: counts spending outside the categories', function () {
+  var inputs = { salary: 200000, filing: 'single' };
+  var goal = { solveFor: 'travel', target: 'remainder', value: 90000 };
+  var base = T.solveBudget(inputs, lowSliders, goal);
+  var withOther = T.solveBudget(inputs, lowSliders, Object.assign({ otherSpending: 5000 }, goal));
+  approxEqual(withOther.budget.remainder, 90000, 0.01, 'still hits target');
+  approxEqual(base.budget.spending.totalAnnual - withOther.budget.spending.totalAnnual, 0, 0.01,
+    'same total spending');
+  assert.ok(withOther.value < base.value, 'less room for travel');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Custom Categories ===');
+// ─────────────────────────────────────────────────────────────
+
+function studentLoans() {
+  return {
+    key: 'loans', label: 'Student Loans', minPct: 0, maxPct: 0.1, displayFreq: 'monthly', color: '#aa66cc',
+    items: [{ freq: 'monthly', key: 'loanPayment', label: 'Loan Payment' }],
+  };
+}
+
+test('getCategories: lists the built-in categories in order', function () {
+  var categories = T.getCategories();
+  assert.deepStrictEqual(categories.map(function (c) { return c.key; }), Object.keys(T.SLIDER_CONFIG));
+  assert.strictEqual(categories[0].color, T.SLIDER_CONFIG.housing.color);
+  assert.deepStrictEqual(categories[0].items[0], { freq: 'monthly', key: 'rent', label: 'Rent' });
+});
+
+test('setCategories: adds, renames, reorders and removes categories', function () {
+  try {
+    var categories = T.getCategories().filter(function (c) { return c.key !== 'nightlife'; });
+    categories[0].label = 'Rent & Home';
+    categories.unshift(studentLoans());
+    T.setCategories(categories);
+    assert.strictEqual(Object.keys(T.SLIDER_CONFIG)[0], 'loans');
+    assert.strictEqual(T.SLIDER_CONFIG.nightlife, undefined);
+    assert.strictEqual(T.SLIDER_CONFIG.housing.label, 'Rent & Home');
+    assert.strictEqual(T.getSliderForItem('monthly', 'loanPayment'), 'loans');
+    assert.strictEqual(T.getSliderForItem('weekly', 'bars'), null);
+    approxEqual(T.computeSliderAmount('loans', 50, 200000).annualAmount, 10000, 0.01, 'slider');
+    var b = T.computeSliderBudget({ salary: 200000, filing: 'single' }, { loans: 100 });
+    assert.ok(b.spending.totalAnnual > 20000, 'counted in budget');
+  } finally {
+    T.resetCategories();
+  }
+  assert.ok(T.SLIDER_CONFIG.nightlife, 'reset restores defaults');
+  assert.strictEqual(T.SLIDER_CONFIG.loans, undefined);
+});
+
+test('setCategories: rejects invalid categories and keeps the old ones', function () {
+  function bad(change) {
+    return T.getCategories().concat([Object.assign(studentLoans(), change)]);
+  }
+  assert.throws(function () { T.setCategories(bad({ minPct: 0.2, maxPct: 0.1 })); }, /percentage range/);
+  assert.throws(function () { T.setCategories(bad({ key: 'food' })); }, /duplicate key/);
+  assert.throws(function () { T.setCategories(bad({ displayFreq: 'hourly' })); }, /display frequency/);
+  assert.throws(function () { T.setCategories(bad({ color: 'red' })); }, /color/);
+  assert.throws(function () {
+    T.setCategories(bad({ items: [{ freq: 'monthly', key: 'rent' }] }));
+  }, /in two categories/);
+  assert.ok(T.SLIDER_CONFIG.housing && !T.SLIDER_CONFIG.loans, 'unchanged');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Slider Modes ===');
+// ─────────────────────────────────────────────────────────────
+
+function withModes(modes, fn) {
+  try {
+    T.setCategories(T.getCategories().map(function (c) {
+      if (modes[c.key]) c.mode = modes[c.key];
+      return c;
+    }));
+    fn();
+  } finally {
+    T.resetCategories();
+  }
+}
+
+test('sliderToAmount / amountToSlider: fixed dollars per display period', function () {
+  assert.strictEqual(T.sliderToAmount('housing', 0), 500);
+  assert.strictEqual(T.sliderToAmount('housing', 50), 7750);
+  assert.strictEqual(T.amountToSlider('housing', 7750), 50);
+  assert.strictEqual(T.amountToSlider('housing', 100000), 100);
+  assert.strictEqual(T.sliderToAmount('kids', 50), 0);
+});
+
+test('computeSliderAmount: take-home and fixed modes ignore gross', function () {
+  withModes({ travel: 'takeHome', food: 'fixed' }, function () {
+    var travel = T.computeSliderAmount('travel', 50, 400000, [], 250000);
+    approxEqual(travel.annualAmount, 250000 * 0.105, 0.01, 'share of take-home');
+    approxEqual(travel.percentage, 250000 * 0.105 / 400000, 1e-9, 'reported against gross');
+    var food = T.computeSliderAmount('food', 50, 400000, [], 250000);
+    approxEqual(food.displayAmount, 1025, 0.01, 'weekly amount');
+    approxEqual(food.annualAmount, 1025 * 52, 0.01, 'annualized');
+    assert.strictEqual(T.computeSliderAmount('food', 50, 900000, [], 600000).annualAmount, food.annualAmount);
+  });
+});
+
+test('annualToSlider: inverts computeSliderAmount in every mode', function () {
+  withModes({ food: 'takeHome', travel: 'fixed' }, function () {
+    ['housing', 'food', 'travel'].forEach(function (name) {
+      var amount = T.computeSliderAmount(name, 30, 300000, [], 200000).annualAmount;
+      approxEqual(T.annualToSlider(name, amount, 300000, 200000), 30, 1e-9, name);
+    });
+  });
+  assert.strictEqual(T.annualToSlider('kids', 10000, 300000, 200000), 50);
+});
+
+test('setCategories: validates slider modes and amount ranges', function () {
+  function withCategory(key, change) {
+    return T.getCategories().map(function (c) { return c.key === key ? Object.assign(c, change) : c; });
+  }
+  assert.throws(function () { T.setCategories(withCategory('food', { mode: 'net' })); }, /unknown slider mode/);
+  assert.throws(function () {
+    T.setCategories(withCategory('food', { mode: 'fixed', minAmount: undefined, maxAmount: undefined }));
+  }, /amount range/);
+  assert.throws(function () { T.setCategories(withCategory('kids', { mode: 'fixed' })); }, /per-child/);
+  assert.strictEqual(T.SLIDER_CONFIG.food.mode, undefined, 'unchanged');
+});
+
+test('solveBudget: locked categories hold their dollars while salary moves', function () {
+  var inputs = { salary: 150000, filing: 'single', dependents: [] };
+  var sliders = { housing: 50, food: 0, nightlife: 0, travel: 0, health: 0, shopping: 0 };
+  var goal = { solveFor: 'salary', target: 'savingsRate', value: 0.3 };
+  var free = T.solveBudget(inputs, sliders, goal);
+  var locked = T.solveBudget(inputs, sliders, Object.assign({ fixed: { housing: 60000 } }, goal));
+  assert.ok(free.feasible && locked.feasible);
+  approxEqual(locked.budget.spending.totalAnnual, 60000 + 0.036 * 150000, 0.01, 'housing held');
+  assert.ok(locked.value > free.value, 'locked rent above the slider costs more salary');
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Slider Curves ===');
+// ─────────────────────────────────────────────────────────────
+
+function withCurve(name, settings, fn) {
+  try {
+    T.setCategories(T.getCategories().map(function (c) {
+      return c.key === name ? Object.assign(c, { curve: undefined }, settings) : c;
+    }));
+    fn();
+  } finally {
+    T.resetCategories();
+  }
+}
+
+test('sliderToPercentage: log curve spends the low end more slowly', function () {
+  withCurve('travel', { curve: 'log' }, function () {
+    assert.strictEqual(T.sliderToPercentage('travel', 0), 0.01);
+    approxEqual(T.sliderToPercentage('travel', 100), 0.2, 1e-12, 'max');
+    approxEqual(T.sliderToPercentage('travel', 50), Math.sqrt(0.01 * 0.2), 1e-12, 'geometric midpoint');
+    approxEqual(T.percentageToSlider('travel', 0.05), 100 * Math.log(5) / Math.log(20), 1e-9, 'inverse');
+  });
+});
+
+test('sliderToPercentage: piecewise curve interpolates between its points', function () {
+  withCurve('food', { curve: 'piecewise', points: [[50, 0.03], [80, 0.05]] }, function () {
+    approxEqual(T.sliderToPercentage('food', 25), 0.02, 1e-12, 'first segment');
+    approxEqual(T.sliderToPercentage('food', 65), 0.04, 1e-12, 'middle segment');
+    approxEqual(T.sliderToPercentage('food', 90), 0.075, 1e-12, 'last segment');
+    [10, 50, 72, 99].forEach(function (v) {
+      approxEqual(T.percentageToSlider('food', T.sliderToPercentage('food', v)), v, 1e-9, 'round trip ' + v);
+    });
+  });
+});
+
+test('housing: the share shrinks above its reference income', function () {
+  var config = T.SLIDER_CONFIG.housing;
+  approxEqual(T.sliderToPercentage('housing', 50, 200000), 0.275, 1e-12, 'unchanged below');
+  var principal = T.PRESETS.bigtech_principal;
+  var gross = T.computeGross(principal);
+  var mid = T.computeSliderAmount('housing', 50, gross).annualAmount / 12;
+  approxEqual(mid, gross * 0.275 * Math.sqrt(config.refIncome / gross) / 12, 0.01, 'scaled band');
+  assert.ok(mid < 13000, 'principal midpoint rent ' + Math.round(mid));
+  var rent = T.categoryItemTotal(principal.spending, 'housing');
+  var position = T.annualToSlider('housing', rent, gross);
+  approxEqual(T.computeSliderAmount('housing', position, gross).annualAmount, rent, 0.01, 'preset inverts');
+});
+
+test('typicalSliderRange: NYC spending marker moves with income', function () {
+  var low = T.typicalSliderRange('food', 150000);
+  var high = T.typicalSliderRange('food', 600000);
+  approxEqual(T.computeSliderAmount('food', low.from, 150000).displayAmount, 150, 1e-6, 'low end');
+  assert.ok(high.to < low.to, 'smaller share at higher income');
+  assert.strictEqual(T.typicalSliderRange('kids', 150000), null);
+});
+
+test('setCategories: validates curves', function () {
+  function withFood(change) {
+    return T.getCategories().map(function (c) { return c.key === 'food' ? Object.assign(c, change) : c; });
+  }
+  assert.throws(function () { T.setCategories(withFood({ curve: 'cubic' })); }, /unknown curve/);
+  assert.throws(function () { T.setCategories(withFood({ curve: 'log', minPct: 0 })); }, /log curve/);
+  assert.throws(function () {
+    T.setCategories(withFood({ curve: 'piecewise', points: [[50, 0.05], [40, 0.06]] }));
+  }, /piecewise points/);
+  assert.throws(function () { T.setCategories(withFood({ curve: 'income' })); }, /income curve/);
+  assert.throws(function () { T.setCategories(withFood({ typical: [400, 150] })); }, /typical range/);
+  assert.strictEqual(T.SLIDER_CONFIG.food.curve, undefined, 'unchanged');
+});
+
+test('setCategories: a failed call leaves the config untouched', function () {
+  var before = JSON.parse(JSON.stringify(T.SLIDER_CONFIG));
+  var categories = T.getCategories().concat([
+    Object.assign(studentLoans(), { curve: 'piecewise', points: undefined }),
+    Object.assign(studentLoans(), { key: 'gym', label: 'Gym', color: 'blue' }),
+  ]);
+  assert.throws(function () { T.setCategories(categories); }, /color/);
+  assert.deepStrictEqual(T.SLIDER_CONFIG, before);
+});
+
+test('setCategories: a piecewise curve without points is linear', function () {
+  try {
+    T.setCategories(T.getCategories().map(function (c) {
+      return c.key === 'food' ? Object.assign(c, { curve: 'piecewise', points: undefined }) : c;
+    }));
+    assert.deepStrictEqual(T.SLIDER_CONFIG.food.points, []);
+    approxEqual(T.sliderToPercentage('food', 50, 200000),
+      (T.SLIDER_CONFIG.food.minPct + T.SLIDER_CONFIG.food.maxPct) / 2, 1e-9, 'midpoint');
+  } finally {
+    T.resetCategories();
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+console.log('\n=== Scenario Links ===');
+// ─────────────────────────────────────────────────────────────
+
+test('encodeScenario / decodeScenario: round-trips a scenario', function () {
+  var state = {
+    preset: 'quant_senior',
+    fields: { salary: 250000, filingStatus: 'married', moveInDate: '2024-03-01', hsa: 4150.555 },
+    dependents: [3, 7],
+    sliders: { housing: 42.123, food: 50 },
+    amounts: { pets: 2400.125 },
+    items: { monthly: { rent: 4000 }, daily: { coffee: 8.5 } },
+  };
+  var hash = T.encodeScenario(state);
+  assert.ok(hash.indexOf('v=' + T.SCENARIO_VERSION) === 0, hash);
+  var back = T.decodeScenario('#' + hash);
+  assert.strictEqual(back.preset, 'quant_senior');
+  assert.deepStrictEqual(back.fields, { salary: 250000, filingStatus: 'married', moveInDate: '2024-03-01', hsa: 4150.56 });
+  assert.deepStrictEqual(back.dependents, [3, 7]);
+  assert.deepStrictEqual(back.sliders, { housing: 42.123, food: 50 });
+  assert.deepStrictEqual(back.amounts, { pets: 2400.13 });
+  assert.strictEqual(back.items.monthly.rent, 4000);
+  assert.strictEqual(back.items.daily.coffee, 8.5);
+});
+
+test('decodeScenario: item totals reprice under a different slider mode', function () {
+  var gross = 400000;
+  var takeHome = 260000;
+  var hash;
+  withModes({ housing: 'takeHome' }, function () {
+    var amount = T.computeSliderAmount('housing', 80, gross, [], takeHome).annualAmount;
+    var items = T.scaleCategoryItems({ monthly: { rent: 1, utilities: 1 } }, 'housing', amount);
+    hash = T.encodeScenario({ fields: {}, sliders: { housing: 80 }, items: items });
+  });
+  var back = T.decodeScenario(hash);
+  var total = T.categoryItemTotal(back.items, 'housing');
+  var slider = T.annualToSlider('housing', total, gross, takeHome);
+  assert.ok(Math.abs(slider - back.sliders.housing) > 5, 'position moves with the mode');
+  approxEqual(T.computeSliderAmount('housing', slider, gross, [], takeHome).annualAmount, total, 0.5, 'same dollars');
+});
+
+test('encodeScenario: leaves out line items that match the preset', function () {
+  var items = JSON.parse(JSON.stringify(T.PRESETS.quant_senior.spending));
+  items.monthly.rent = 4200;
+  var hash = T.encodeScenario({ preset: 'quant_senior', fields: {}, items: items });
+  assert.strictEqual(hash, 'v=' + T.SCENARIO_VERSION + '&p=quant_senior&i.m.rent=4200');
+  var back = T.decodeScenario(hash);
+  assert.deepStrictEqual(back.items, items);
+  var v1 = T.decodeScenario('v=1&p=quant_senior&i.m.rent=4200');
+  assert.deepStrictEqual(v1.items.monthly, { rent: 4200 }, 'version 1 links list every item');
+});
+
+test('decodeScenario: rejects links from a newer version', function () {
+  assert.throws(function () { T.decodeScenario('#v=' + (T.SCENARIO_VERSION + 1) + '&f.salary=1'); },
+    /Unsupported scenario version/);
+  assert.throws(function () { T.decodeScenario('v=99'); }, /Unsupported scenario version: 99/);
+});
+
+test('decodeScenario: ignores unknown keys and leaves missing ones out', function () {
+  var back = T.decodeScenario('v=1&f.salary=100000&x.future=1&f.a.b=2&s.housing=abc');
+  assert.strictEqual(back.version, 1);
+  assert.deepStrictEqual(back.fields, { salary: 100000 });
+  assert.deepStrictEqual(back.sliders, {});
+  assert.deepStrictEqual(back.amounts, {});
+  assert.strictEqual(back.preset, null);
+  assert.strictEqual(back.dependents, null);
+  assert.strictEqual(T.decodeScenario(''), null);
+  assert.strictEqual(T.decodeScenario('#section-2'), null);
+});
+
 // ─────────────────────────────────────────────────────────────
 // Summary
 // ─────────────────────────────────────────────────────────────